@@ -0,0 +1,324 @@
+#!/usr/bin/env node
+/**
+ * WebR実験場のバッチ実行 - ブラウザを使わずにNode.jsでRスクリプト・サンプル集を実行する
+ *
+ *   node bin/webr-run.js script.R [--json] [--plots dir]
+ *   node bin/webr-run.js --examples [--manifest examples/index.json] [--update-snapshots]
+ *
+ * webRのnpmパッケージ（webr）が必要
+ * @module bin/webr-run
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { basename, dirname, extname, join, relative } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+import { WebRService, formatRError } from '../js/webr-service.js';
+import { loadExamples } from '../js/examples.js';
+import { t, setLocale, getLocales } from '../js/i18n.js';
+
+/** スクリプトの実行でプロットを保存する既定のディレクトリ */
+const DEFAULT_PLOT_DIRECTORY = 'plots';
+
+/** 既定のサンプル集のマニフェスト */
+const DEFAULT_MANIFEST = fileURLToPath(new URL('../examples/index.json', import.meta.url));
+
+/** コマンドラインオプション */
+const OPTIONS = {
+    json: { type: 'boolean', default: false },
+    plots: { type: 'string' },
+    width: { type: 'string', default: '800' },
+    height: { type: 'string', default: '600' },
+    timeout: { type: 'string', default: '60' },
+    examples: { type: 'boolean', default: false },
+    manifest: { type: 'string', default: DEFAULT_MANIFEST },
+    'update-snapshots': { type: 'boolean', default: false },
+    lang: { type: 'string' },
+    verbose: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+/**
+ * 表示言語の決定（--lang、なければ環境変数LANG）
+ * @param {string} [lang] - 指定された言語
+ * @returns {string}
+ */
+function resolveLocale(lang) {
+    const locale = (lang || process.env.LC_ALL || process.env.LANG || '').toLowerCase().split(/[-_.]/)[0];
+    return getLocales().includes(locale) ? locale : 'en';
+}
+
+/**
+ * 実行結果をJSONで出力する形に変換
+ * @param {string} name - スクリプト名
+ * @param {WebRPlayground.ExecutionResult} result - 実行結果
+ * @param {Array<string>} plots - 保存したプロットのパス
+ * @returns {Object}
+ */
+function toReport(name, result, plots) {
+    const texts = (type) => (result.entries || []).filter(entry => entry.type === type).map(entry => entry.text);
+
+    return {
+        file: name,
+        success: result.success,
+        stdout: texts('stdout').join('\n'),
+        stderr: texts('stderr').join('\n'),
+        messages: texts('message'),
+        warnings: texts('warning'),
+        error: result.success ? null : (result.errorDetail || { message: result.error }),
+        executionTime: result.executionTime ?? null,
+        plots,
+        output: result.output ?? ''
+    };
+}
+
+/**
+ * 実行結果のプロットをPNGファイルに保存
+ * @param {WebRPlayground.ExecutionResult} result - 実行結果
+ * @param {string} directory - 保存先のディレクトリ
+ * @param {string} prefix - ファイル名の接頭辞
+ * @returns {Promise<Array<string>>} 保存したファイルのパス
+ */
+async function savePlots(result, directory, prefix) {
+    const images = result.images || [];
+    if (images.length === 0) {
+        return [];
+    }
+
+    await mkdir(directory, { recursive: true });
+
+    const paths = [];
+    for (const [index, png] of images.entries()) {
+        const path = join(directory, `${prefix}-${index + 1}.png`);
+        await writeFile(path, png);
+        paths.push(path);
+    }
+    return paths;
+}
+
+/**
+ * 2つの出力で最初に異なる行
+ * @param {string} expected - スナップショット
+ * @param {string} actual - 今回の出力
+ * @returns {{line: number, expected: string, actual: string}}
+ */
+function firstDifference(expected, actual) {
+    const expectedLines = expected.split('\n');
+    const actualLines = actual.split('\n');
+    let line = 0;
+    while (line < expectedLines.length && expectedLines[line] === actualLines[line]) {
+        line++;
+    }
+    return { line: line + 1, expected: expectedLines[line] ?? '', actual: actualLines[line] ?? '' };
+}
+
+/**
+ * スナップショットと比べるための出力の正規化（行末の空白と末尾の空行を除く）
+ * @param {string} text - 出力
+ * @returns {string}
+ */
+function normalizeOutput(text) {
+    return text.split('\n').map(line => line.trimEnd()).join('\n').trimEnd() + '\n';
+}
+
+/**
+ * 指定されたRスクリプトを順に実行
+ * @param {WebRService} service - WebRサービス
+ * @param {Array<string>} files - スクリプトのパス
+ * @param {Object} options - コマンドラインオプション
+ * @returns {Promise<boolean>} すべて成功したか
+ */
+async function runScripts(service, files, options) {
+    const reports = [];
+
+    for (const file of files) {
+        let code;
+        try {
+            code = await readFile(file, 'utf8');
+        } catch (error) {
+            console.error(t('cli.readFailed', { file, message: error.message }));
+            reports.push({ file, success: false, error: { message: error.message } });
+            continue;
+        }
+
+        const result = await service.executeCode(code);
+        const plots = await savePlots(result, options.plots ?? DEFAULT_PLOT_DIRECTORY, basename(file, extname(file)));
+        reports.push(toReport(file, result, plots));
+
+        if (!options.json) {
+            if (files.length > 1) {
+                process.stdout.write(`== ${file} ==\n`);
+            }
+            if (result.output) {
+                process.stdout.write(`${result.output}\n`);
+            }
+            // 中断などR側の詳細がないエラーは出力に含まれない
+            if (!result.success && !result.errorDetail) {
+                process.stdout.write(`${t('common.errorPrefix', { message: result.error })}\n`);
+            }
+            plots.forEach(path => console.error(t('cli.plotSaved', { path })));
+            if (result.executionTime !== undefined) {
+                console.error(t('output.executionTime', { ms: result.executionTime }));
+            }
+        }
+    }
+
+    if (options.json) {
+        process.stdout.write(`${JSON.stringify(reports.length === 1 ? reports[0] : reports, null, 2)}\n`);
+    }
+
+    return reports.every(report => report.success);
+}
+
+/**
+ * サンプル集のすべてのサンプルを実行し、スナップショットと比べる
+ * スナップショットは各サンプルの expected-output、指定がなければマニフェストの隣の snapshots/<id>.out
+ * @param {WebRService} service - WebRサービス
+ * @param {Object} options - コマンドラインオプション
+ * @returns {Promise<boolean>} 失敗・差分・スナップショットのないサンプルがなかったか
+ */
+async function checkExamples(service, options) {
+    const manifestUrl = pathToFileURL(options.manifest);
+    const examples = await loadExamples(manifestUrl.href, {
+        readText: (url) => readFile(fileURLToPath(url), 'utf8')
+    });
+
+    const results = [];
+
+    for (const example of examples) {
+        const snapshotPath = fileURLToPath(example.expectedOutput || new URL(`snapshots/${example.id}.out`, manifestUrl));
+        const report = { id: example.id, snapshot: relative(process.cwd(), snapshotPath) };
+
+        // サンプル間で変数が残らないようにする
+        await service.clearEnvironment();
+
+        const missingPackage = await installPackages(service, example.packages);
+        if (missingPackage) {
+            Object.assign(report, { status: 'failed', error: t('cli.packageFailed', { name: missingPackage }) });
+            results.push(report);
+            continue;
+        }
+
+        const result = await service.executeCode(example.code);
+        // 照合ではプロットを比べないため、保存先が指定されたときだけ書き出す（作業ツリーを汚さない）
+        report.plots = options.plots ? await savePlots(result, options.plots, example.id) : [];
+        report.executionTime = result.executionTime ?? null;
+
+        if (!result.success) {
+            const error = result.errorDetail ? formatRError(result.errorDetail) : result.error;
+            Object.assign(report, { status: 'failed', error });
+            results.push(report);
+            continue;
+        }
+
+        const actual = normalizeOutput(result.output);
+        const expected = await readFile(snapshotPath, 'utf8').then(normalizeOutput, () => null);
+
+        if (expected === actual) {
+            report.status = 'passed';
+        } else if (options['update-snapshots']) {
+            await mkdir(dirname(snapshotPath), { recursive: true });
+            await writeFile(snapshotPath, actual);
+            report.status = 'updated';
+        } else if (expected === null) {
+            report.status = 'missing';
+        } else {
+            Object.assign(report, { status: 'changed', difference: firstDifference(expected, actual) });
+        }
+        results.push(report);
+    }
+
+    const count = (status) => results.filter(report => report.status === status).length;
+    const summary = {
+        passed: count('passed'),
+        failed: count('failed'),
+        changed: count('changed'),
+        missing: count('missing'),
+        updated: count('updated')
+    };
+
+    if (options.json) {
+        process.stdout.write(`${JSON.stringify({ summary, results }, null, 2)}\n`);
+    } else {
+        results.forEach(report => {
+            process.stdout.write(`${t(`cli.status.${report.status}`)}  ${report.id}\n`);
+            if (report.error) {
+                process.stdout.write(`    ${report.error.replace(/\n/g, '\n    ')}\n`);
+            }
+            if (report.difference) {
+                process.stdout.write(`    ${t('cli.firstDifference', report.difference)}\n`);
+            }
+        });
+        process.stdout.write(`${t('cli.summary', summary)}\n`);
+    }
+
+    // スナップショットのないサンプルは比べられないため失敗とする（--update-snapshots で作成する）
+    return summary.failed === 0 && summary.changed === 0 && summary.missing === 0;
+}
+
+/**
+ * サンプルが必要とするパッケージのインストール
+ * @param {WebRService} service - WebRサービス
+ * @param {Array<string>} [packages] - パッケージ名
+ * @returns {Promise<string|null>} インストールできなかったパッケージ（すべて成功すればnull）
+ */
+async function installPackages(service, packages = []) {
+    for (const name of packages) {
+        if (!(await service.installPackage(name))) {
+            return name;
+        }
+    }
+    return null;
+}
+
+/**
+ * コマンドの実行
+ * @returns {Promise<number>} 終了コード
+ */
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        console.error(error.message);
+        return 2;
+    }
+
+    const { values: options, positionals: files } = parsed;
+    setLocale(resolveLocale(options.lang), { persist: false });
+
+    if (options.help || (!options.examples && files.length === 0)) {
+        console.error(t('cli.usage'));
+        return options.help ? 0 : 2;
+    }
+
+    // サービスの経過のログは --verbose のときだけ表示する（警告・エラーは標準エラーへ）
+    if (!options.verbose) {
+        console.log = () => {};
+        console.info = () => {};
+    }
+
+    const service = new WebRService({
+        webRModule: 'webr',
+        plotDevice: 'png',
+        plotWidth: Number(options.width),
+        plotHeight: Number(options.height),
+        executionTimeout: Number(options.timeout) * 1000,
+        maxOutputLength: Infinity
+    });
+
+    try {
+        await service.initialize();
+        const ok = options.examples
+            ? await checkExamples(service, options)
+            : await runScripts(service, files, options);
+        return ok ? 0 : 1;
+    } catch (error) {
+        console.error(t('common.errorPrefix', { message: error.message }));
+        return 1;
+    } finally {
+        await service.destroy();
+    }
+}
+
+process.exit(await main());
@@ -0,0 +1,708 @@
+/**
+ * コードエディタ - R向けの構文ハイライト・行番号・括弧対応・自動インデント
+ * テキストエリアをそのまま入力に使い、背後に重ねた要素へハイライトを描画する
+ * @module code-editor
+ */
+
+/** インデント1段分 */
+const INDENT = '  ';
+
+/** Rの予約語と特殊な定数 */
+const KEYWORDS = new Set([
+    'if', 'else', 'repeat', 'while', 'function', 'for', 'in', 'next', 'break',
+    'TRUE', 'FALSE', 'NULL', 'Inf', 'NaN', 'NA',
+    'NA_integer_', 'NA_real_', 'NA_character_', 'NA_complex_'
+]);
+
+/** 対応する括弧 */
+const BRACKET_PAIRS = { '(': ')', '[': ']', '{': '}' };
+
+/**
+ * トークンの規則（上から順に試す）
+ * @type {Array<[string, RegExp]>}
+ */
+const TOKEN_RULES = [
+    ['whitespace', /\s+/y],
+    ['comment', /#[^\n]*/y],
+    ['string', /[rR](["'])(-*)([[({])[\s\S]*?[\])}]\2\1/y],
+    ['string', /"(?:[^"\\]|\\[\s\S])*"?/y],
+    ['string', /'(?:[^'\\]|\\[\s\S])*'?/y],
+    ['identifier', /`(?:[^`\\]|\\[\s\S])*`?/y],
+    ['number', /(?:0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)[Li]?/y],
+    ['identifier', /[\p{L}.][\p{L}\p{N}._]*/uy],
+    ['operator', /<<-|->>|<-|->|\|>|%[^%\n]*%|==|!=|<=|>=|&&|\|\||:::?|[-+*/^~!&|<>=$@?:]/y],
+    ['bracket', /[()[\]{}]/y]
+];
+
+/**
+ * Rコードをトークンに分割
+ * @param {string} code - Rコード
+ * @returns {Array<{type: string, text: string, start: number}>}
+ */
+export function tokenizeR(code) {
+    const tokens = [];
+    let position = 0;
+
+    while (position < code.length) {
+        let matched = null;
+
+        for (const [type, pattern] of TOKEN_RULES) {
+            pattern.lastIndex = position;
+            const match = pattern.exec(code);
+            if (match && match[0].length > 0) {
+                matched = { type, text: match[0], start: position };
+                break;
+            }
+        }
+
+        if (!matched) {
+            matched = { type: 'other', text: code[position], start: position };
+        }
+
+        tokens.push(matched);
+        position += matched.text.length;
+    }
+
+    // 予約語と関数呼び出しの判定
+    tokens.forEach((token, i) => {
+        if (token.type !== 'identifier') {
+            return;
+        }
+
+        if (KEYWORDS.has(token.text)) {
+            token.type = 'keyword';
+            return;
+        }
+
+        const next = tokens[i + 1]?.type === 'whitespace' ? tokens[i + 2] : tokens[i + 1];
+        if (next && next.text === '(') {
+            token.type = 'function';
+        }
+    });
+
+    return tokens;
+}
+
+/**
+ * 括弧の対応関係を求める（文字列・コメント中の括弧は無視される）
+ * @param {Array<{type: string, text: string, start: number}>} tokens - トークン
+ * @returns {Map<number, number>} 括弧の位置から対応する括弧の位置へのマップ
+ */
+export function matchBrackets(tokens) {
+    const pairs = new Map();
+    const stack = [];
+
+    tokens.forEach(token => {
+        if (token.type !== 'bracket') {
+            return;
+        }
+
+        if (BRACKET_PAIRS[token.text]) {
+            stack.push(token);
+            return;
+        }
+
+        const open = stack[stack.length - 1];
+        if (open && BRACKET_PAIRS[open.text] === token.text) {
+            stack.pop();
+            pairs.set(open.start, token.start);
+            pairs.set(token.start, open.start);
+        }
+    });
+
+    return pairs;
+}
+
+/**
+ * HTMLエスケープ
+ * @param {string} text - テキスト
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * コードエディタクラス
+ */
+export class CodeEditor {
+    /**
+     * @param {Object} elements - エディタを構成する要素
+     * @param {HTMLTextAreaElement} elements.textarea - 入力用テキストエリア
+     * @param {HTMLElement} elements.highlight - ハイライトの描画先
+     * @param {HTMLElement} elements.gutter - 行番号の描画先
+     */
+    constructor({ textarea, highlight, gutter }) {
+        /** @type {HTMLTextAreaElement} */
+        this.textarea = textarea;
+
+        /** @type {HTMLElement} */
+        this.highlight = highlight;
+
+        /** @type {HTMLElement} */
+        this.gutter = gutter;
+
+        /** @type {Array<{type: string, text: string, start: number}>} */
+        this.tokens = [];
+
+        /** @type {Map<number, number>} */
+        this.bracketPairs = new Map();
+
+        /** @type {Array<number>} 強調表示中の括弧の位置 */
+        this.activeBrackets = [];
+
+        /** @type {number} 表示中の行数 */
+        this.lineCount = 0;
+
+        /** @type {Array<function(string): void>} 内容の変更を受け取るリスナー */
+        this.changeListeners = [];
+
+        /** @type {number|null} エラーを強調表示する行（0始まり） */
+        this.errorLine = null;
+
+        /** @type {HTMLElement} エラー行の強調表示（ハイライト層の背後に置く） */
+        this.errorMarker = document.createElement('div');
+        this.errorMarker.className = 'editor-error-line';
+        this.errorMarker.hidden = true;
+        this.highlight.parentNode.insertBefore(this.errorMarker, this.highlight);
+
+        this.interceptValue();
+        this.setupEventListeners();
+        this.refresh();
+    }
+
+    /**
+     * テキストエリアのvalueへの代入を検知する
+     * 外部から value を書き換えてもハイライトが追従するようにする
+     * @private
+     */
+    interceptValue() {
+        const descriptor = Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, 'value');
+        const editor = this;
+
+        Object.defineProperty(this.textarea, 'value', {
+            configurable: true,
+            get() {
+                return descriptor.get.call(this);
+            },
+            set(value) {
+                descriptor.set.call(this, value);
+                editor.clearErrorLine();
+                editor.refresh();
+                editor.notifyChange(true);
+            }
+        });
+    }
+
+    /**
+     * イベントリスナーの設定
+     * @private
+     */
+    setupEventListeners() {
+        this.textarea.addEventListener('input', () => {
+            this.clearErrorLine();
+            this.refresh();
+            this.notifyChange();
+        });
+        this.textarea.addEventListener('scroll', () => this.syncScroll());
+        this.textarea.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        // カーソル移動時の括弧の強調
+        document.addEventListener('selectionchange', () => {
+            if (document.activeElement === this.textarea) {
+                this.updateBracketMatch();
+            }
+        });
+        this.textarea.addEventListener('blur', () => this.updateBracketMatch());
+    }
+
+    /**
+     * キー入力の処理
+     * @private
+     * @param {KeyboardEvent} e - キーボードイベント
+     */
+    handleKeydown(e) {
+        const ctrl = e.ctrlKey || e.metaKey;
+
+        if (e.key === 'Tab' && !ctrl && !e.altKey) {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.outdentSelection();
+            } else {
+                this.indentSelection();
+            }
+            return;
+        }
+
+        if (e.key === 'Enter' && !ctrl && !e.shiftKey && !e.altKey && !e.isComposing) {
+            e.preventDefault();
+            this.insertNewline();
+            return;
+        }
+
+        if (e.key === '}' && !ctrl && !e.altKey) {
+            if (this.outdentClosingBrace()) {
+                e.preventDefault();
+            }
+            return;
+        }
+
+        // Ctrl+/ または Ctrl+Shift+C でコメントの切り替え
+        if (ctrl && (e.key === '/' || (e.shiftKey && e.key.toLowerCase() === 'c'))) {
+            e.preventDefault();
+            this.toggleComment();
+        }
+    }
+
+    /**
+     * ハイライトと行番号の再描画
+     */
+    refresh() {
+        const code = this.getValue();
+
+        this.tokens = tokenizeR(code);
+        this.bracketPairs = matchBrackets(this.tokens);
+        this.activeBrackets = this.findActiveBrackets();
+
+        this.renderHighlight();
+        this.renderGutter(code);
+        this.syncScroll();
+    }
+
+    /**
+     * ハイライトの描画
+     * @private
+     */
+    renderHighlight() {
+        const active = new Set(this.activeBrackets);
+
+        const html = this.tokens.map(token => {
+            const text = escapeHtml(token.text);
+            if (token.type === 'whitespace' || token.type === 'other') {
+                return text;
+            }
+
+            let className = `tok-${token.type}`;
+            if (token.type === 'bracket' && active.has(token.start)) {
+                className += ' bracket-match';
+            }
+            return `<span class="${className}">${text}</span>`;
+        }).join('');
+
+        // 末尾の空行にも高さを持たせる
+        this.highlight.innerHTML = html + '\n ';
+    }
+
+    /**
+     * 行番号の描画
+     * @private
+     * @param {string} code - コード
+     */
+    renderGutter(code) {
+        const lineCount = code.split('\n').length;
+        if (lineCount === this.lineCount) {
+            return;
+        }
+
+        this.lineCount = lineCount;
+        this.gutter.textContent = Array.from({ length: lineCount }, (_, i) => i + 1).join('\n') + '\n ';
+    }
+
+    /**
+     * スクロール位置の同期
+     * @private
+     */
+    syncScroll() {
+        this.highlight.scrollTop = this.textarea.scrollTop;
+        this.highlight.scrollLeft = this.textarea.scrollLeft;
+        this.gutter.scrollTop = this.textarea.scrollTop;
+        this.renderErrorLine();
+    }
+
+    /**
+     * カーソル位置の括弧と対応する括弧を求める
+     * @private
+     * @returns {Array<number>}
+     */
+    findActiveBrackets() {
+        if (document.activeElement !== this.textarea || this.textarea.selectionStart !== this.textarea.selectionEnd) {
+            return [];
+        }
+
+        const cursor = this.textarea.selectionStart;
+
+        // カーソルの直前、なければ直後の括弧を対象にする
+        for (const position of [cursor - 1, cursor]) {
+            if (this.bracketPairs.has(position)) {
+                return [position, this.bracketPairs.get(position)];
+            }
+        }
+
+        return [];
+    }
+
+    /**
+     * 括弧の強調表示の更新
+     * @private
+     */
+    updateBracketMatch() {
+        const active = this.findActiveBrackets();
+        if (active.join() === this.activeBrackets.join()) {
+            return;
+        }
+
+        this.activeBrackets = active;
+        this.renderHighlight();
+    }
+
+    /**
+     * 範囲を置き換える（ブラウザの取り消し履歴に残す）
+     * @private
+     * @param {number} start - 開始位置
+     * @param {number} end - 終了位置
+     * @param {string} text - 挿入するテキスト
+     */
+    replaceRange(start, end, text) {
+        this.textarea.focus();
+        this.textarea.setSelectionRange(start, end);
+
+        // execCommandが使えない環境では取り消し履歴を諦めて直接置き換える
+        if (!document.execCommand('insertText', false, text)) {
+            this.textarea.setRangeText(text, start, end, 'end');
+            this.refresh();
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * 選択範囲にかかる行の範囲を取得
+     * @private
+     * @returns {{start: number, end: number}}
+     */
+    getSelectedLineRange() {
+        const value = this.getValue();
+        const { selectionStart, selectionEnd } = this.textarea;
+
+        // 次の行の先頭で終わる選択はその行を含めない
+        const end = selectionEnd > selectionStart && value[selectionEnd - 1] === '\n'
+            ? selectionEnd - 1
+            : selectionEnd;
+
+        const lineStart = value.lastIndexOf('\n', selectionStart - 1) + 1;
+        const newline = value.indexOf('\n', end);
+        const lineEnd = newline === -1 ? value.length : newline;
+
+        return { start: lineStart, end: lineEnd };
+    }
+
+    /**
+     * 選択範囲の各行を変換して置き換える
+     * @private
+     * @param {function(string): string} transform - 行ごとの変換
+     */
+    transformSelectedLines(transform) {
+        const { start, end } = this.getSelectedLineRange();
+        const lines = this.getValue().substring(start, end).split('\n');
+        const replaced = transform(lines).join('\n');
+
+        this.replaceRange(start, end, replaced);
+        this.textarea.setSelectionRange(start, start + replaced.length);
+    }
+
+    /**
+     * インデント（複数行選択時は各行、それ以外は空白を挿入）
+     * @private
+     */
+    indentSelection() {
+        const { selectionStart, selectionEnd } = this.textarea;
+        const selected = this.getValue().substring(selectionStart, selectionEnd);
+
+        if (!selected.includes('\n')) {
+            this.replaceRange(selectionStart, selectionEnd, INDENT);
+            return;
+        }
+
+        this.transformSelectedLines(lines => lines.map(line => line.length > 0 ? INDENT + line : line));
+    }
+
+    /**
+     * 選択範囲の各行のインデントを1段戻す
+     * @private
+     */
+    outdentSelection() {
+        const { selectionStart, selectionEnd } = this.textarea;
+        const { start } = this.getSelectedLineRange();
+        const firstLine = this.getValue().substring(start).split('\n')[0];
+        const removed = firstLine.match(/^( {1,2}|\t)?/)[0].length;
+
+        this.transformSelectedLines(lines => lines.map(line => line.replace(/^( {1,2}|\t)/, '')));
+
+        // 単一行ではカーソル位置を保つ
+        if (selectionStart === selectionEnd) {
+            const cursor = Math.max(start, selectionStart - removed);
+            this.textarea.setSelectionRange(cursor, cursor);
+        }
+    }
+
+    /**
+     * 改行の挿入（前の行のインデントを引き継ぎ、開き括弧の後は1段深くする）
+     * @private
+     */
+    insertNewline() {
+        const value = this.getValue();
+        const { selectionStart, selectionEnd } = this.textarea;
+
+        const lineStart = value.lastIndexOf('\n', selectionStart - 1) + 1;
+        const before = value.substring(lineStart, selectionStart);
+        const indent = before.match(/^[ \t]*/)[0];
+        const lastChar = before.trimEnd().slice(-1);
+
+        if (!BRACKET_PAIRS[lastChar]) {
+            this.replaceRange(selectionStart, selectionEnd, '\n' + indent);
+            return;
+        }
+
+        // 対応する閉じ括弧の直前で改行した場合は閉じ括弧を次の行に送る
+        const inner = '\n' + indent + INDENT;
+        if (value[selectionEnd] === BRACKET_PAIRS[lastChar]) {
+            this.replaceRange(selectionStart, selectionEnd, inner + '\n' + indent);
+            const cursor = selectionStart + inner.length;
+            this.textarea.setSelectionRange(cursor, cursor);
+        } else {
+            this.replaceRange(selectionStart, selectionEnd, inner);
+        }
+    }
+
+    /**
+     * 空白だけの行で } を入力したときにインデントを1段戻す
+     * @private
+     * @returns {boolean} 処理したかどうか
+     */
+    outdentClosingBrace() {
+        const value = this.getValue();
+        const { selectionStart, selectionEnd } = this.textarea;
+        const lineStart = value.lastIndexOf('\n', selectionStart - 1) + 1;
+        const before = value.substring(lineStart, selectionStart);
+
+        if (selectionStart !== selectionEnd || !/^[ \t]+$/.test(before)) {
+            return false;
+        }
+
+        this.replaceRange(lineStart, selectionStart, before.replace(/( {1,2}|\t)$/, '') + '}');
+        return true;
+    }
+
+    /**
+     * 選択範囲の行のコメントを切り替える
+     */
+    toggleComment() {
+        this.transformSelectedLines(lines => {
+            const targets = lines.filter(line => line.trim().length > 0);
+            const commented = targets.length > 0 && targets.every(line => /^\s*#/.test(line));
+
+            if (commented) {
+                return lines.map(line => line.replace(/^(\s*)# ?/, '$1'));
+            }
+
+            // 最も浅いインデントの位置にコメント記号を揃える
+            const minIndent = Math.min(...targets.map(line => line.match(/^\s*/)[0].length));
+            return lines.map(line => line.trim().length > 0
+                ? line.substring(0, minIndent) + '# ' + line.substring(minIndent)
+                : line);
+        });
+    }
+
+    /**
+     * 選択範囲の取得
+     * @returns {{start: number, end: number, text: string}}
+     */
+    getSelection() {
+        const { selectionStart: start, selectionEnd: end } = this.textarea;
+        return { start, end, text: this.getValue().substring(start, end) };
+    }
+
+    /**
+     * カーソルのある行番号（0始まり）を取得
+     * @returns {number}
+     */
+    getCursorLine() {
+        return this.getValue().substring(0, this.textarea.selectionStart).split('\n').length - 1;
+    }
+
+    /**
+     * 指定した行の先頭にカーソルを移動
+     * @param {number} lineIndex - 行番号（0始まり、行数を超える場合は末尾）
+     */
+    setCursorLine(lineIndex) {
+        const lines = this.getValue().split('\n');
+        let position = 0;
+
+        for (let i = 0; i < Math.min(lineIndex, lines.length); i++) {
+            position += lines[i].length + 1;
+        }
+
+        position = Math.min(position, this.getValue().length);
+        this.textarea.focus();
+        this.textarea.setSelectionRange(position, position);
+    }
+
+    /**
+     * コードの取得
+     * @returns {string}
+     */
+    getValue() {
+        return this.textarea.value;
+    }
+
+    /**
+     * コードの設定
+     * @param {string} value - コード
+     */
+    setValue(value) {
+        this.textarea.value = value;
+    }
+
+    /**
+     * 指定範囲のテキストを置き換え、カーソルを挿入したテキストの後ろへ移動
+     * @param {number} start - 開始位置
+     * @param {number} end - 終了位置
+     * @param {string} text - 挿入するテキスト
+     * @param {number} [cursorOffset=text.length] - 挿入したテキスト内でのカーソル位置
+     */
+    replaceText(start, end, text, cursorOffset = text.length) {
+        this.replaceRange(start, end, text);
+        const cursor = start + cursorOffset;
+        this.textarea.setSelectionRange(cursor, cursor);
+    }
+
+    /**
+     * 指定位置の文字の画面上の位置を取得
+     * ハイライト層は入力と同じ文字列を描画しているため、その位置を測る
+     * @param {number} [position] - 位置（省略時はカーソル位置）
+     * @returns {DOMRect}
+     */
+    getCaretRect(position = this.textarea.selectionStart) {
+        const walker = document.createTreeWalker(this.highlight, NodeFilter.SHOW_TEXT);
+        let remaining = position;
+        let node;
+
+        while ((node = walker.nextNode())) {
+            if (remaining <= node.length) {
+                const range = document.createRange();
+                range.setStart(node, remaining);
+                range.setEnd(node, remaining);
+                return range.getBoundingClientRect();
+            }
+            remaining -= node.length;
+        }
+
+        return this.textarea.getBoundingClientRect();
+    }
+
+    /**
+     * エラーが起きた行を強調表示し、見える位置までスクロール
+     * @param {number} lineIndex - 行番号（0始まり）
+     */
+    setErrorLine(lineIndex) {
+        this.errorLine = lineIndex;
+
+        const { paddingTop, lineHeight } = this.getLineMetrics();
+        const top = paddingTop + lineIndex * lineHeight;
+        const textarea = this.textarea;
+        if (top < textarea.scrollTop || top + lineHeight > textarea.scrollTop + textarea.clientHeight) {
+            textarea.scrollTop = Math.max(0, top - textarea.clientHeight / 2);
+        }
+
+        this.syncScroll();
+    }
+
+    /**
+     * エラー行の強調表示を消す
+     */
+    clearErrorLine() {
+        this.errorLine = null;
+        this.renderErrorLine();
+    }
+
+    /**
+     * エラー行の強調表示の描画
+     * @private
+     */
+    renderErrorLine() {
+        if (this.errorLine === null) {
+            this.errorMarker.hidden = true;
+            return;
+        }
+
+        const { paddingTop, lineHeight } = this.getLineMetrics();
+        this.errorMarker.hidden = false;
+        this.errorMarker.style.top = `${paddingTop + this.errorLine * lineHeight - this.textarea.scrollTop}px`;
+        this.errorMarker.style.height = `${lineHeight}px`;
+    }
+
+    /**
+     * 行の高さと上端の余白（ピクセル）
+     * @private
+     * @returns {{paddingTop: number, lineHeight: number}}
+     */
+    getLineMetrics() {
+        const style = getComputedStyle(this.textarea);
+        return {
+            paddingTop: parseFloat(style.paddingTop),
+            lineHeight: parseFloat(style.lineHeight)
+        };
+    }
+
+    /**
+     * 内容の変更を受け取るリスナーを登録
+     * 入力による変更と value への代入の両方で呼ばれる（代入の場合は programmatic が true）
+     * @param {function(string, {programmatic: boolean}): void} listener - 変更後のコードを受け取る関数
+     */
+    onChange(listener) {
+        this.changeListeners.push(listener);
+    }
+
+    /**
+     * 変更の通知
+     * @private
+     * @param {boolean} [programmatic=false] - value への代入による変更か
+     */
+    notifyChange(programmatic = false) {
+        const value = this.getValue();
+        this.changeListeners.forEach(listener => listener(value, { programmatic }));
+    }
+
+    /**
+     * カーソル位置とスクロール位置の取得
+     * @returns {{selectionStart: number, selectionEnd: number, scrollTop: number}}
+     */
+    getViewState() {
+        return {
+            selectionStart: this.textarea.selectionStart,
+            selectionEnd: this.textarea.selectionEnd,
+            scrollTop: this.textarea.scrollTop
+        };
+    }
+
+    /**
+     * カーソル位置とスクロール位置の復元
+     * @param {{selectionStart: number, selectionEnd: number, scrollTop: number}} state - 表示状態
+     */
+    setViewState({ selectionStart = 0, selectionEnd = selectionStart, scrollTop = 0 }) {
+        const length = this.getValue().length;
+        this.textarea.setSelectionRange(Math.min(selectionStart, length), Math.min(selectionEnd, length));
+        this.textarea.scrollTop = scrollTop;
+        this.syncScroll();
+        this.updateBracketMatch();
+    }
+
+    /**
+     * エディタにフォーカス
+     */
+    focus() {
+        this.textarea.focus();
+    }
+}
+
+// デフォルトエクスポート
+export default CodeEditor;
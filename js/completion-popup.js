@@ -0,0 +1,365 @@
+/**
+ * 補完ポップアップ - 実行中のRセッションに問い合わせた補完候補の表示と挿入
+ * @module completion-popup
+ */
+
+/** 入力後に自動で補完を開くまでの待ち時間（ミリ秒） */
+const AUTO_TRIGGER_DELAY = 200;
+
+/** 自動で補完を開く語の最小文字数 */
+const MIN_AUTO_TRIGGER_LENGTH = 3;
+
+/** 入力すると自動で補完を開く文字（リストの要素・スロット・名前空間） */
+const TRIGGER_CHARACTERS = new Set(['$', '@', ':']);
+
+/** 候補の種類の表示 */
+const TYPE_LABELS = {
+    function: 'fn',
+    argument: 'arg',
+    object: 'obj',
+    package: 'pkg',
+    file: 'file',
+    keyword: 'kw'
+};
+
+/**
+ * 補完ポップアップクラス
+ */
+export class CompletionPopup {
+    /**
+     * @param {import('./code-editor.js').CodeEditor} editor - エディタ
+     */
+    constructor(editor) {
+        /** @type {import('./code-editor.js').CodeEditor} */
+        this.editor = editor;
+
+        /** @type {function(string, number): Promise<{start: number, items: Array<WebRPlayground.CompletionItem>}>|null} */
+        this.provider = null;
+
+        /** @type {function(): boolean} Rが補完に応答できない状態か */
+        this.isBusy = () => false;
+
+        /** @type {Array<WebRPlayground.CompletionItem>} */
+        this.items = [];
+
+        /** @type {number} */
+        this.selectedIndex = 0;
+
+        /** @type {{start: number, end: number}|null} 候補で置き換える範囲 */
+        this.range = null;
+
+        /** @type {number} 古い問い合わせの結果を捨てるための通し番号 */
+        this.requestId = 0;
+
+        /** @type {number|null} */
+        this.timer = null;
+
+        /** @type {boolean} 候補を挿入中か（挿入による入力で補完を開き直さない） */
+        this.inserting = false;
+
+        /** @type {HTMLUListElement} */
+        this.element = document.createElement('ul');
+        this.element.className = 'completion-popup';
+        this.element.id = 'completion-popup';
+        this.element.setAttribute('role', 'listbox');
+        this.element.hidden = true;
+        document.body.appendChild(this.element);
+    }
+
+    /**
+     * 補完の初期化
+     * @param {function(string, number): Promise<{start: number, items: Array<WebRPlayground.CompletionItem>}>} provider
+     *   カーソルのある行と行内の位置から候補を求める関数
+     * @param {Object} options - オプション
+     * @param {function(): boolean} options.isBusy - Rが補完に応答できない状態か
+     */
+    initialize(provider, { isBusy }) {
+        this.provider = provider;
+        this.isBusy = isBusy;
+
+        const textarea = this.editor.textarea;
+        textarea.setAttribute('aria-autocomplete', 'list');
+        textarea.setAttribute('aria-controls', this.element.id);
+
+        // エディタのキー操作より先に候補の選択を処理する
+        textarea.addEventListener('keydown', (e) => this.handleKeydown(e), true);
+        textarea.addEventListener('input', (e) => this.handleInput(e));
+        textarea.addEventListener('blur', () => this.close());
+        textarea.addEventListener('scroll', () => this.close());
+
+        // クリックでフォーカスがエディタから外れないようにする
+        this.element.addEventListener('mousedown', (e) => e.preventDefault());
+    }
+
+    /**
+     * ポップアップが開いているか
+     * @returns {boolean}
+     */
+    isOpen() {
+        return !this.element.hidden;
+    }
+
+    /**
+     * キー入力の処理
+     * @private
+     * @param {KeyboardEvent} e - キーボードイベント
+     */
+    handleKeydown(e) {
+        // Ctrl+Space で補完を開く
+        if ((e.ctrlKey || e.metaKey) && e.key === ' ') {
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            this.update();
+            return;
+        }
+
+        if (!this.isOpen()) {
+            return;
+        }
+
+        switch (e.key) {
+            case 'ArrowDown':
+                this.select(this.selectedIndex + 1);
+                break;
+            case 'ArrowUp':
+                this.select(this.selectedIndex - 1);
+                break;
+            case 'Enter':
+            case 'Tab':
+                this.accept(this.selectedIndex);
+                break;
+            case 'Escape':
+                this.close();
+                break;
+            case 'ArrowLeft':
+            case 'ArrowRight':
+            case 'Home':
+            case 'End':
+                this.close();
+                return;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+        e.stopImmediatePropagation();
+    }
+
+    /**
+     * 入力に応じて補完を開く・絞り込む
+     * @private
+     * @param {InputEvent} e - 入力イベント
+     */
+    handleInput(e) {
+        if (this.inserting) {
+            return;
+        }
+
+        if (this.timer !== null) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        if (!this.isOpen() && !this.shouldAutoTrigger(e)) {
+            return;
+        }
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.update();
+        }, AUTO_TRIGGER_DELAY);
+    }
+
+    /**
+     * 入力した文字で補完を自動で開くか判定
+     * @private
+     * @param {InputEvent} e - 入力イベント
+     * @returns {boolean}
+     */
+    shouldAutoTrigger(e) {
+        if (e.inputType !== 'insertText' || !e.data) {
+            return false;
+        }
+
+        if (TRIGGER_CHARACTERS.has(e.data)) {
+            return true;
+        }
+
+        const { value, selectionStart } = this.editor.textarea;
+        const word = value.substring(0, selectionStart).match(/[\p{L}\p{N}._]*$/u)[0];
+        return word.length >= MIN_AUTO_TRIGGER_LENGTH;
+    }
+
+    /**
+     * カーソル位置の候補をRに問い合わせて表示
+     * @returns {Promise<void>}
+     */
+    async update() {
+        const requestId = ++this.requestId;
+
+        if (!this.provider || this.isBusy()) {
+            this.close();
+            return;
+        }
+
+        const textarea = this.editor.textarea;
+        const code = this.editor.getValue();
+        const cursor = textarea.selectionStart;
+        const lineStart = code.lastIndexOf('\n', cursor - 1) + 1;
+        const lineEnd = code.indexOf('\n', cursor) === -1 ? code.length : code.indexOf('\n', cursor);
+
+        let result;
+        try {
+            result = await this.provider(code.substring(lineStart, lineEnd), cursor - lineStart);
+        } catch (error) {
+            console.error('補完候補の取得エラー:', error);
+            this.close();
+            return;
+        }
+
+        // 問い合わせ中に入力やカーソル移動があった場合は結果を捨てる
+        if (requestId !== this.requestId || document.activeElement !== textarea || textarea.selectionStart !== cursor) {
+            return;
+        }
+
+        if (result.items.length === 0) {
+            this.close();
+            return;
+        }
+
+        this.items = result.items;
+        this.range = { start: lineStart + result.start, end: cursor };
+        this.render();
+        this.select(0);
+        this.position();
+    }
+
+    /**
+     * 候補の描画
+     * @private
+     */
+    render() {
+        const fragment = document.createDocumentFragment();
+
+        this.items.forEach((item, i) => {
+            const li = document.createElement('li');
+            li.className = 'completion-item';
+            li.id = `completion-item-${i}`;
+            li.setAttribute('role', 'option');
+            li.addEventListener('click', () => this.accept(i));
+
+            const type = document.createElement('span');
+            type.className = `completion-type completion-type-${item.type}`;
+            type.textContent = TYPE_LABELS[item.type] || item.type;
+
+            const name = document.createElement('span');
+            name.className = 'completion-name';
+            name.textContent = item.name;
+
+            li.appendChild(type);
+            li.appendChild(name);
+
+            if (item.signature) {
+                const signature = document.createElement('span');
+                signature.className = 'completion-signature';
+                signature.textContent = item.signature;
+                li.appendChild(signature);
+            }
+
+            fragment.appendChild(li);
+        });
+
+        this.element.innerHTML = '';
+        this.element.appendChild(fragment);
+        this.element.hidden = false;
+        this.editor.textarea.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * ポップアップを置き換える語の下に配置
+     * 画面の下端に収まらない場合は語の上に表示する
+     * @private
+     */
+    position() {
+        const caret = this.editor.getCaretRect(this.range.start);
+        const popup = this.element;
+
+        popup.style.left = `${Math.max(0, Math.min(caret.left, window.innerWidth - popup.offsetWidth))}px`;
+
+        const below = caret.bottom + popup.offsetHeight <= window.innerHeight;
+        popup.style.top = `${below ? caret.bottom : Math.max(0, caret.top - popup.offsetHeight)}px`;
+    }
+
+    /**
+     * 候補の選択
+     * @private
+     * @param {number} index - 候補の番号
+     */
+    select(index) {
+        if (this.items.length === 0) {
+            return;
+        }
+
+        // 端では反対側へ回り込む
+        this.selectedIndex = (index + this.items.length) % this.items.length;
+
+        Array.from(this.element.children).forEach((li, i) => {
+            const selected = i === this.selectedIndex;
+            li.classList.toggle('selected', selected);
+            li.setAttribute('aria-selected', selected ? 'true' : 'false');
+            if (selected) {
+                li.scrollIntoView({ block: 'nearest' });
+            }
+        });
+
+        this.editor.textarea.setAttribute('aria-activedescendant', `completion-item-${this.selectedIndex}`);
+    }
+
+    /**
+     * 候補を挿入
+     * 関数は括弧を補い、カーソルを括弧の中に置く
+     * @param {number} index - 候補の番号
+     */
+    accept(index) {
+        const item = this.items[index];
+        if (!item || !this.range) {
+            return;
+        }
+
+        let text = item.name;
+        let cursorOffset = text.length;
+
+        const nextChar = this.editor.getValue().charAt(this.range.end);
+        if (item.type === 'function' && nextChar !== '(') {
+            text += '()';
+            cursorOffset = text.length - 1;
+        }
+
+        this.inserting = true;
+        try {
+            this.editor.replaceText(this.range.start, this.range.end, text, cursorOffset);
+        } finally {
+            this.inserting = false;
+        }
+
+        this.close();
+    }
+
+    /**
+     * ポップアップを閉じる
+     */
+    close() {
+        this.requestId++;
+        this.items = [];
+        this.range = null;
+        this.element.hidden = true;
+        this.element.innerHTML = '';
+
+        const textarea = this.editor.textarea;
+        textarea.setAttribute('aria-expanded', 'false');
+        textarea.removeAttribute('aria-activedescendant');
+    }
+}
+
+// デフォルトエクスポート
+export default CompletionPopup;
@@ -0,0 +1,250 @@
+/**
+ * コンソール入力 - Rのプロンプトのように1式ずつ評価する入力行と履歴
+ * @module console-repl
+ */
+
+/** 履歴の保存キー */
+const HISTORY_STORAGE_KEY = 'webr-playground-history';
+
+/** 保存する履歴の最大件数 */
+const MAX_HISTORY = 200;
+
+/** プロンプト */
+const PROMPT = '>';
+
+/** 継続行のプロンプト */
+const CONTINUATION_PROMPT = '+';
+
+/**
+ * コンソール入力クラス
+ */
+export class ConsoleRepl {
+    /**
+     * @param {Object} elements - コンソール入力を構成する要素
+     * @param {HTMLInputElement} elements.input - 入力行
+     * @param {HTMLElement} elements.prompt - プロンプトの表示先
+     */
+    constructor(elements) {
+        /** @type {Object.<string, HTMLElement>} */
+        this.elements = elements;
+
+        /** @type {WebRPlayground.IWebRService|null} */
+        this.webRService = null;
+
+        /** @type {Object.<string, Function>} */
+        this.handlers = {};
+
+        /** @type {Array<string>} 入力途中の式の行 */
+        this.pendingLines = [];
+
+        /** @type {Array<string>} 入力履歴（古い順） */
+        this.history = this.loadHistory();
+
+        /** @type {number} 履歴の参照位置（history.lengthは未確定の入力） */
+        this.historyIndex = this.history.length;
+
+        /** @type {string} 履歴をたどる前の入力 */
+        this.draft = '';
+
+        /** @type {boolean} */
+        this.submitting = false;
+    }
+
+    /**
+     * コンソール入力の初期化
+     * @param {WebRPlayground.IWebRService} webRService - WebRサービス
+     * @param {Object} handlers - イベントハンドラ
+     * @param {function(string): void} handlers.onEcho - 入力行をコンソールへ表示
+     * @param {function(string): Promise<void>} handlers.onSubmit - 完成した式の実行
+     */
+    initialize(webRService, { onEcho, onSubmit }) {
+        this.webRService = webRService;
+        this.handlers = { onEcho, onSubmit };
+
+        this.elements.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+    }
+
+    /**
+     * 入力の受付状態を設定
+     * @param {boolean} enabled - 入力を受け付けるか
+     */
+    setEnabled(enabled) {
+        this.elements.input.disabled = !enabled;
+    }
+
+    /**
+     * 実行中の状態を設定
+     * フォーカスを保ったまま入力の確定だけを止める
+     * @param {boolean} busy - 実行中かどうか
+     */
+    setBusy(busy) {
+        this.elements.input.readOnly = busy;
+    }
+
+    /**
+     * 入力行にフォーカス
+     */
+    focus() {
+        this.elements.input.focus();
+    }
+
+    /**
+     * キー入力の処理
+     * @private
+     * @param {KeyboardEvent} e - キーボードイベント
+     */
+    handleKeydown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey || e.isComposing) {
+            return;
+        }
+
+        switch (e.key) {
+            case 'Enter':
+                e.preventDefault();
+                this.submit();
+                break;
+            case 'ArrowUp':
+                e.preventDefault();
+                this.navigateHistory(-1);
+                break;
+            case 'ArrowDown':
+                e.preventDefault();
+                this.navigateHistory(1);
+                break;
+            case 'Escape':
+                // 実行中でなければ入力途中の式を破棄する（実行中は停止のショートカットに任せる）
+                if (!this.elements.input.readOnly && this.pendingLines.length > 0) {
+                    this.handlers.onEcho(`${CONTINUATION_PROMPT} ${this.elements.input.value}`);
+                    this.reset();
+                }
+                break;
+        }
+    }
+
+    /**
+     * 入力行の確定
+     * 式が完成していれば実行し、入力途中なら継続行のプロンプトを表示する
+     * @returns {Promise<void>}
+     */
+    async submit() {
+        if (this.submitting || this.elements.input.readOnly || !this.webRService || !this.webRService.isReady()) {
+            return;
+        }
+
+        const line = this.elements.input.value;
+        const prompt = this.pendingLines.length > 0 ? CONTINUATION_PROMPT : PROMPT;
+
+        // 何も入力されていなければRと同じく新しいプロンプトを出すだけ
+        if (this.pendingLines.length === 0 && !line.trim()) {
+            this.handlers.onEcho(prompt);
+            return;
+        }
+
+        this.submitting = true;
+        this.handlers.onEcho(`${prompt} ${line}`);
+        this.addHistory(line);
+        this.pendingLines.push(line);
+        this.elements.input.value = '';
+
+        try {
+            const code = this.pendingLines.join('\n');
+
+            let status;
+            try {
+                status = await this.webRService.checkSyntax(code);
+            } catch (error) {
+                console.error('構文の確認エラー:', error);
+                status = 'complete';
+            }
+
+            if (status === 'incomplete') {
+                this.elements.prompt.textContent = CONTINUATION_PROMPT;
+                return;
+            }
+
+            // 構文エラーも実行してRのエラーメッセージを表示する
+            this.reset();
+            await this.handlers.onSubmit(code);
+        } finally {
+            this.submitting = false;
+        }
+    }
+
+    /**
+     * 入力途中の式を破棄してプロンプトを戻す
+     */
+    reset() {
+        this.pendingLines = [];
+        this.elements.input.value = '';
+        this.elements.prompt.textContent = PROMPT;
+    }
+
+    /**
+     * 履歴をたどる
+     * @private
+     * @param {number} direction - -1で古い方、1で新しい方
+     */
+    navigateHistory(direction) {
+        const index = this.historyIndex + direction;
+        if (index < 0 || index > this.history.length) {
+            return;
+        }
+
+        if (this.historyIndex === this.history.length) {
+            this.draft = this.elements.input.value;
+        }
+
+        this.historyIndex = index;
+        const value = index === this.history.length ? this.draft : this.history[index];
+
+        const input = this.elements.input;
+        input.value = value;
+        input.setSelectionRange(value.length, value.length);
+    }
+
+    /**
+     * 履歴への追加
+     * @private
+     * @param {string} line - 入力行
+     */
+    addHistory(line) {
+        if (line.trim() && this.history[this.history.length - 1] !== line) {
+            this.history.push(line);
+            this.history = this.history.slice(-MAX_HISTORY);
+            this.saveHistory();
+        }
+
+        this.historyIndex = this.history.length;
+        this.draft = '';
+    }
+
+    /**
+     * 履歴の読み込み（ローカルストレージ）
+     * @private
+     * @returns {Array<string>}
+     */
+    loadHistory() {
+        try {
+            const history = JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY) || '[]');
+            return Array.isArray(history) ? history.filter(line => typeof line === 'string') : [];
+        } catch (error) {
+            console.warn('履歴を読み込めませんでした:', error);
+            return [];
+        }
+    }
+
+    /**
+     * 履歴の保存（ローカルストレージ）
+     * @private
+     */
+    saveHistory() {
+        try {
+            localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(this.history));
+        } catch (error) {
+            console.warn('履歴を保存できませんでした:', error);
+        }
+    }
+}
+
+// デフォルトエクスポート
+export default ConsoleRepl;
@@ -0,0 +1,166 @@
+/**
+ * 環境パネル - Rのグローバル環境にあるオブジェクトの一覧表示
+ * @module environment-panel
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * 環境パネルクラス
+ */
+export class EnvironmentPanel {
+    /**
+     * @param {HTMLElement} container - 一覧を表示する要素
+     */
+    constructor(container) {
+        /** @type {HTMLElement} */
+        this.container = container;
+
+        /** @type {WebRPlayground.IWebRService|null} */
+        this.webRService = null;
+
+        /** @type {function(string): void|null} オブジェクトを表示するコールバック */
+        this.onPrint = null;
+
+        /** @type {boolean} */
+        this.refreshing = false;
+    }
+
+    /**
+     * パネルの初期化
+     * @param {WebRPlayground.IWebRService} webRService - WebRサービス
+     * @param {Object} handlers - イベントハンドラ
+     * @param {function(string): void} handlers.onPrint - オブジェクトをコンソールに表示
+     */
+    initialize(webRService, { onPrint }) {
+        this.webRService = webRService;
+        this.onPrint = onPrint;
+
+        this.renderMessage(t('common.waitingForWebR'));
+    }
+
+    /**
+     * オブジェクト一覧を再取得して表示
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        if (!this.webRService || !this.webRService.isReady() || this.refreshing) {
+            return;
+        }
+
+        this.refreshing = true;
+
+        try {
+            const objects = await this.webRService.listObjects();
+            this.render(objects);
+        } catch (error) {
+            console.error('環境の取得エラー:', error);
+            this.renderMessage(t('environment.loadFailed', { message: error.message }));
+        } finally {
+            this.refreshing = false;
+        }
+    }
+
+    /**
+     * オブジェクト一覧の描画
+     * @private
+     * @param {Array<WebRPlayground.EnvironmentObject>} objects - オブジェクト一覧
+     */
+    render(objects) {
+        if (objects.length === 0) {
+            this.renderMessage(t('environment.empty'));
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'environment-table';
+
+        const header = table.createTHead().insertRow();
+        ['name', 'class', 'type', 'size', 'preview', null].forEach(column => {
+            const th = document.createElement('th');
+            th.textContent = column ? t(`environment.column.${column}`) : '';
+            header.appendChild(th);
+        });
+
+        const body = table.createTBody();
+
+        objects.forEach(object => {
+            const row = body.insertRow();
+
+            [object.name, object.class, object.type, object.size, object.preview].forEach((value, i) => {
+                const cell = row.insertCell();
+                cell.textContent = value;
+                if (i === 4) {
+                    cell.className = 'environment-preview';
+                    cell.title = value;
+                }
+            });
+
+            const actions = row.insertCell();
+            actions.className = 'environment-actions';
+            actions.appendChild(this.createActionButton(t('environment.print'), t('environment.printTitle', { name: object.name }), () => {
+                this.onPrint(object.name);
+            }));
+            actions.appendChild(this.createActionButton(t('common.delete'), t('common.deleteTitle', { name: object.name }), () => {
+                this.removeObject(object.name);
+            }));
+        });
+
+        this.container.innerHTML = '';
+        this.container.appendChild(table);
+    }
+
+    /**
+     * 操作ボタンの作成
+     * @private
+     * @param {string} label - ラベル
+     * @param {string} title - 説明
+     * @param {Function} action - クリック時の処理
+     * @returns {HTMLButtonElement}
+     */
+    createActionButton(label, title, action) {
+        const button = document.createElement('button');
+        button.className = 'btn btn-small btn-secondary';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', action);
+        return button;
+    }
+
+    /**
+     * メッセージの描画
+     * @private
+     * @param {string} message - メッセージ
+     */
+    renderMessage(message) {
+        this.container.innerHTML = '';
+
+        const p = document.createElement('p');
+        p.className = 'environment-empty';
+        p.textContent = message;
+        this.container.appendChild(p);
+    }
+
+    /**
+     * オブジェクトの削除
+     * @private
+     * @param {string} name - オブジェクト名
+     * @returns {Promise<void>}
+     */
+    async removeObject(name) {
+        if (!window.confirm(t('environment.deleteConfirm', { name }))) {
+            return;
+        }
+
+        try {
+            await this.webRService.removeObject(name);
+        } catch (error) {
+            console.error('オブジェクトの削除エラー:', error);
+        }
+
+        await this.refresh();
+    }
+}
+
+// デフォルトエクスポート
+export default EnvironmentPanel;
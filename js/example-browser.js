@@ -0,0 +1,350 @@
+/**
+ * サンプルブラウザ - カテゴリ別のサンプル一覧・検索とユーザーのスニペットの保存・編集・削除
+ * @module example-browser
+ */
+
+import { getCategories, getExamplesByCategory, getExampleLabel, getExampleDescription, getCategoryLabel } from './examples.js';
+import { ScriptStore } from './script-store.js';
+import { t } from './i18n.js';
+
+/** スニペットのカテゴリ名 */
+export const SNIPPET_CATEGORY = 'snippets';
+
+/**
+ * スニペットIDの生成
+ * @returns {string}
+ */
+function createSnippetId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return `snippet-${crypto.randomUUID()}`;
+    }
+    return `snippet-${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * サンプルが検索語に一致するか（名前・説明・コードが対象）
+ * @param {WebRPlayground.CodeExample} example - サンプル
+ * @param {string} needle - 小文字にした検索語
+ * @returns {boolean}
+ */
+function matchesQuery(example, needle) {
+    return [getExampleLabel(example), example.label, getExampleDescription(example), example.description, example.code]
+        .some(text => (text || '').toLowerCase().includes(needle));
+}
+
+/**
+ * サンプルブラウザクラス
+ */
+export class ExampleBrowser {
+    /**
+     * @param {Object} elements - ブラウザを構成する要素
+     * @param {HTMLInputElement} elements.searchInput - 検索入力
+     * @param {HTMLElement} elements.list - カテゴリ別一覧の表示先
+     * @param {HTMLButtonElement} elements.saveSnippetBtn - スニペットの保存ボタン
+     */
+    constructor(elements) {
+        /** @type {Object.<string, HTMLElement>} */
+        this.elements = elements;
+
+        /** @type {ScriptStore} */
+        this.store = new ScriptStore();
+
+        /** @type {boolean} IndexedDBに保存できるか */
+        this.persistent = false;
+
+        /** @type {Array<WebRPlayground.CodeExample>} 作成順のスニペット */
+        this.snippets = [];
+
+        /** @type {function(WebRPlayground.CodeExample): void|null} */
+        this.onOpen = null;
+
+        /** @type {function(): (WebRPlayground.Script|null)|null} */
+        this.getCurrentScript = null;
+
+        /** @type {function(string): void|null} */
+        this.onMessage = null;
+
+        /** @type {function(string): void|null} */
+        this.onWarning = null;
+    }
+
+    /**
+     * ブラウザの初期化
+     * 組み込みのサンプルをすぐに表示し、保存されたスニペットを読み込んだら表示し直す
+     * @param {Object} handlers - イベントハンドラ
+     * @param {function(WebRPlayground.CodeExample): void} handlers.onOpen - サンプル・スニペットを開く
+     * @param {function(): (WebRPlayground.Script|null)} handlers.getCurrentScript - 表示中のスクリプト
+     * @param {function(string): void} handlers.onMessage - 操作結果の通知
+     * @param {function(string): void} handlers.onWarning - 保存できなくなったことの警告
+     * @returns {Promise<void>}
+     */
+    async initialize({ onOpen, getCurrentScript, onMessage, onWarning }) {
+        this.onOpen = onOpen;
+        this.getCurrentScript = getCurrentScript;
+        this.onMessage = onMessage;
+        this.onWarning = onWarning;
+
+        this.elements.searchInput.addEventListener('input', () => this.render());
+        this.elements.searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.elements.searchInput.value) {
+                e.stopPropagation();
+                this.elements.searchInput.value = '';
+                this.render();
+            }
+        });
+        this.elements.saveSnippetBtn.addEventListener('click', () => this.saveCurrentScript());
+
+        this.render();
+
+        try {
+            await this.store.open();
+            const snippets = await this.store.getSnippets();
+            this.snippets = snippets.sort((a, b) => a.createdAt - b.createdAt);
+            this.persistent = true;
+        } catch (error) {
+            console.warn('スニペットを保存できません（このセッションのみ保持します）:', error);
+        }
+
+        this.render();
+    }
+
+    /**
+     * カテゴリ別の一覧の描画
+     * 検索語があれば一致するものだけを表示する
+     */
+    render() {
+        const needle = this.elements.searchInput.value.trim().toLowerCase();
+        const filter = (items) => (needle ? items.filter(example => matchesQuery(example, needle)) : items);
+
+        const list = this.elements.list;
+        list.innerHTML = '';
+
+        getCategories().forEach(category => {
+            const items = filter(getExamplesByCategory(category));
+            if (items.length > 0) {
+                list.appendChild(this.createGroup(getCategoryLabel(category), items.map(example => this.createExampleButton(example))));
+            }
+        });
+
+        const snippets = filter(this.snippets);
+        if (snippets.length > 0) {
+            list.appendChild(this.createGroup(getCategoryLabel(SNIPPET_CATEGORY), snippets.map(snippet => this.createSnippetItem(snippet))));
+        } else if (!needle) {
+            const hint = document.createElement('p');
+            hint.className = 'example-empty';
+            hint.textContent = t('snippets.empty');
+            list.appendChild(this.createGroup(getCategoryLabel(SNIPPET_CATEGORY), [hint]));
+        }
+
+        if (!list.hasChildNodes()) {
+            const message = document.createElement('p');
+            message.className = 'example-empty';
+            message.textContent = t('examples.noMatches', { query: this.elements.searchInput.value.trim() });
+            list.appendChild(message);
+        }
+    }
+
+    /**
+     * カテゴリの見出しと項目のまとまりを作成
+     * @private
+     * @param {string} title - 見出し
+     * @param {Array<HTMLElement>} items - 項目
+     * @returns {HTMLElement}
+     */
+    createGroup(title, items) {
+        const group = document.createElement('div');
+        group.className = 'example-group';
+
+        const heading = document.createElement('h3');
+        heading.className = 'example-group-title';
+        heading.textContent = title;
+
+        const body = document.createElement('div');
+        body.className = 'example-buttons';
+        items.forEach(item => body.appendChild(item));
+
+        group.append(heading, body);
+        return group;
+    }
+
+    /**
+     * サンプルを開くボタンを作成
+     * @private
+     * @param {WebRPlayground.CodeExample} example - サンプル
+     * @returns {HTMLButtonElement}
+     */
+    createExampleButton(example) {
+        const button = document.createElement('button');
+        button.className = 'example-btn';
+        button.textContent = getExampleLabel(example);
+        button.title = example.packages?.length
+            ? `${getExampleDescription(example)}\n${t('examples.requiresPackages', { packages: example.packages.join(', ') })}`
+            : getExampleDescription(example);
+        button.addEventListener('click', () => this.onOpen(example));
+        return button;
+    }
+
+    /**
+     * スニペットの項目（開く・編集・削除）を作成
+     * @private
+     * @param {WebRPlayground.CodeExample} snippet - スニペット
+     * @returns {HTMLElement}
+     */
+    createSnippetItem(snippet) {
+        const item = document.createElement('div');
+        item.className = 'example-snippet';
+
+        const button = this.createExampleButton(snippet);
+        button.classList.add('snippet');
+
+        const editBtn = document.createElement('button');
+        editBtn.className = 'example-snippet-action';
+        editBtn.textContent = '✎';
+        editBtn.title = t('snippets.editTitle', { name: snippet.label });
+        editBtn.setAttribute('aria-label', editBtn.title);
+        editBtn.addEventListener('click', () => this.editSnippet(snippet.id));
+
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'example-snippet-action';
+        deleteBtn.textContent = '×';
+        deleteBtn.title = t('common.deleteTitle', { name: snippet.label });
+        deleteBtn.setAttribute('aria-label', deleteBtn.title);
+        deleteBtn.addEventListener('click', () => this.deleteSnippet(snippet.id));
+
+        item.append(button, editBtn, deleteBtn);
+        return item;
+    }
+
+    /**
+     * 表示中のスクリプトをスニペットとして保存
+     * @returns {Promise<void>}
+     */
+    async saveCurrentScript() {
+        const script = this.getCurrentScript();
+        if (!script || !script.code.trim()) {
+            this.onMessage(t('editor.nothingToSave'));
+            return;
+        }
+
+        const label = window.prompt(t('snippets.namePrompt'), script.name);
+        if (label === null || !label.trim()) {
+            return;
+        }
+
+        const description = window.prompt(t('snippets.descriptionPrompt'), '');
+        if (description === null) {
+            return;
+        }
+
+        const now = Date.now();
+        const snippet = {
+            id: createSnippetId(),
+            label: label.trim(),
+            category: SNIPPET_CATEGORY,
+            description: description.trim(),
+            code: script.code,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.snippets.push(snippet);
+        await this.persist(snippet);
+        this.render();
+        this.onMessage(t('snippets.saved', { name: snippet.label }));
+    }
+
+    /**
+     * スニペットの編集
+     * 名前と説明を変更し、確認のうえ表示中のスクリプトのコードで置き換える
+     * @param {string} id - スニペットID
+     * @returns {Promise<void>}
+     */
+    async editSnippet(id) {
+        const snippet = this.snippets.find(s => s.id === id);
+        if (!snippet) {
+            return;
+        }
+
+        const label = window.prompt(t('snippets.namePrompt'), snippet.label);
+        if (label === null) {
+            return;
+        }
+
+        const description = window.prompt(t('snippets.descriptionPrompt'), snippet.description || '');
+        if (description === null) {
+            return;
+        }
+
+        snippet.label = label.trim() || snippet.label;
+        snippet.description = description.trim();
+
+        const script = this.getCurrentScript();
+        if (script && script.code.trim() && script.code !== snippet.code &&
+            window.confirm(t('snippets.replaceCodeConfirm', { name: snippet.label, script: script.name }))) {
+            snippet.code = script.code;
+        }
+
+        snippet.updatedAt = Date.now();
+        await this.persist(snippet);
+        this.render();
+        this.onMessage(t('snippets.updated', { name: snippet.label }));
+    }
+
+    /**
+     * スニペットの削除
+     * @param {string} id - スニペットID
+     * @returns {Promise<void>}
+     */
+    async deleteSnippet(id) {
+        const snippet = this.snippets.find(s => s.id === id);
+        if (!snippet || !window.confirm(t('snippets.deleteConfirm', { name: snippet.label }))) {
+            return;
+        }
+
+        this.snippets = this.snippets.filter(s => s.id !== id);
+        this.render();
+
+        if (this.persistent) {
+            try {
+                await this.store.deleteSnippet(id);
+            } catch (error) {
+                console.error('スニペットの削除エラー:', error);
+                this.handleStoreError();
+            }
+        }
+    }
+
+    /**
+     * スニペットをIndexedDBに保存
+     * @private
+     * @param {WebRPlayground.CodeExample} snippet - スニペット
+     * @returns {Promise<void>}
+     */
+    async persist(snippet) {
+        if (!this.persistent) {
+            return;
+        }
+
+        try {
+            await this.store.putSnippet(snippet);
+        } catch (error) {
+            console.error('スニペットの保存エラー:', error);
+            this.handleStoreError();
+        }
+    }
+
+    /**
+     * 保存の失敗の処理
+     * データベースを開き直せなくなった場合は、このセッションのみ保持するよう切り替えて知らせる
+     * @private
+     */
+    handleStoreError() {
+        if (this.persistent && !this.store.isOpen()) {
+            this.persistent = false;
+            this.onWarning(t('storage.sessionOnly'));
+        }
+    }
+}
+
+// デフォルトエクスポート
+export default ExampleBrowser;
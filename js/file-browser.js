@@ -0,0 +1,370 @@
+/**
+ * ファイルブラウザ - WebRの仮想ファイルシステムの閲覧とファイルのやり取り
+ * @module file-browser
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * パスを連結
+ * @param {string} directory - ディレクトリ
+ * @param {string} name - ファイル名
+ * @returns {string}
+ */
+function joinPath(directory, name) {
+    return directory.endsWith('/') ? directory + name : `${directory}/${name}`;
+}
+
+/**
+ * 親ディレクトリのパスを取得
+ * @param {string} path - パス
+ * @returns {string}
+ */
+function parentPath(path) {
+    const index = path.replace(/\/$/, '').lastIndexOf('/');
+    return index <= 0 ? '/' : path.substring(0, index);
+}
+
+/**
+ * ファイルサイズを読みやすい形式に変換
+ * @param {number} bytes - バイト数
+ * @returns {string}
+ */
+function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * ファイルブラウザクラス
+ */
+export class FileBrowser {
+    /**
+     * @param {Object} elements - ファイルブラウザを構成する要素
+     * @param {HTMLElement} elements.panel - パネル全体（ドロップ先）
+     * @param {HTMLElement} elements.list - 一覧の表示先
+     * @param {HTMLElement} elements.path - 現在のパスの表示先
+     * @param {HTMLInputElement} elements.fileInput - ファイル選択
+     * @param {HTMLButtonElement} elements.uploadBtn - アップロードボタン
+     * @param {HTMLButtonElement} elements.newFolderBtn - フォルダ作成ボタン
+     * @param {HTMLButtonElement} elements.refreshBtn - 更新ボタン
+     */
+    constructor(elements) {
+        /** @type {Object.<string, HTMLElement>} */
+        this.elements = elements;
+
+        /** @type {WebRPlayground.IWebRService|null} */
+        this.webRService = null;
+
+        /** @type {string} */
+        this.currentDirectory = '';
+
+        /** @type {boolean} */
+        this.refreshing = false;
+    }
+
+    /**
+     * ファイルブラウザの初期化
+     * @param {WebRPlayground.IWebRService} webRService - WebRサービス
+     */
+    initialize(webRService) {
+        this.webRService = webRService;
+        this.currentDirectory = webRService.config.homeDirectory;
+
+        this.setupEventListeners();
+        this.renderMessage(t('common.waitingForWebR'));
+    }
+
+    /**
+     * イベントリスナーの設定
+     * @private
+     */
+    setupEventListeners() {
+        this.elements.uploadBtn.addEventListener('click', () => this.elements.fileInput.click());
+        this.elements.fileInput.addEventListener('change', async () => {
+            await this.uploadFiles(this.elements.fileInput.files);
+            this.elements.fileInput.value = '';
+        });
+        this.elements.newFolderBtn.addEventListener('click', () => this.createFolder());
+        this.elements.refreshBtn.addEventListener('click', () => this.refresh());
+
+        // ドラッグ&ドロップでのアップロード
+        const panel = this.elements.panel;
+        panel.addEventListener('dragover', (e) => {
+            if (e.dataTransfer.types.includes('Files')) {
+                e.preventDefault();
+                panel.classList.add('drag-over');
+            }
+        });
+        panel.addEventListener('dragleave', (e) => {
+            if (!panel.contains(e.relatedTarget)) {
+                panel.classList.remove('drag-over');
+            }
+        });
+        panel.addEventListener('drop', (e) => {
+            e.preventDefault();
+            panel.classList.remove('drag-over');
+            this.uploadFiles(e.dataTransfer.files);
+        });
+    }
+
+    /**
+     * 現在のディレクトリを再表示
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        if (!this.webRService || !this.webRService.isReady() || this.refreshing) {
+            return;
+        }
+
+        this.refreshing = true;
+
+        try {
+            const files = await this.webRService.listFiles(this.currentDirectory);
+            this.render(files);
+        } catch (error) {
+            console.error('ファイル一覧の取得エラー:', error);
+            this.renderMessage(t('files.loadFailed', { message: error.message }));
+        } finally {
+            this.refreshing = false;
+        }
+    }
+
+    /**
+     * ディレクトリを移動
+     * @param {string} directory - 移動先
+     * @returns {Promise<void>}
+     */
+    async navigate(directory) {
+        this.currentDirectory = directory;
+        await this.refresh();
+    }
+
+    /**
+     * 一覧の描画
+     * @private
+     * @param {Array<WebRPlayground.FileEntry>} files - ファイル一覧
+     */
+    render(files) {
+        this.elements.path.textContent = this.currentDirectory;
+
+        const table = document.createElement('table');
+        table.className = 'file-table';
+        const body = table.createTBody();
+
+        // 親ディレクトリへのリンク
+        if (this.currentDirectory !== '/') {
+            const row = body.insertRow();
+            const cell = row.insertCell();
+            cell.colSpan = 4;
+            cell.appendChild(this.createLink('📁 ..', () => this.navigate(parentPath(this.currentDirectory))));
+        }
+
+        files.forEach(file => {
+            const row = body.insertRow();
+
+            const nameCell = row.insertCell();
+            if (file.isDirectory) {
+                nameCell.appendChild(this.createLink(`📁 ${file.name}`, () => this.navigate(file.path)));
+            } else {
+                nameCell.textContent = `📄 ${file.name}`;
+            }
+
+            const sizeCell = row.insertCell();
+            sizeCell.className = 'file-size';
+            sizeCell.textContent = file.isDirectory ? '' : formatSize(file.size);
+
+            const modifiedCell = row.insertCell();
+            modifiedCell.className = 'file-modified';
+            modifiedCell.textContent = new Date(file.modified).toLocaleString();
+
+            const actions = row.insertCell();
+            actions.className = 'file-actions';
+            if (!file.isDirectory) {
+                actions.appendChild(this.createActionButton(t('common.save'), t('files.downloadTitle', { name: file.name }), () => this.downloadFile(file)));
+            }
+            actions.appendChild(this.createActionButton(t('files.rename'), t('files.renameTitle', { name: file.name }), () => this.renameFile(file)));
+            actions.appendChild(this.createActionButton(t('common.delete'), t('common.deleteTitle', { name: file.name }), () => this.deleteFile(file)));
+        });
+
+        this.elements.list.innerHTML = '';
+        this.elements.list.appendChild(table);
+
+        if (files.length === 0) {
+            const p = document.createElement('p');
+            p.className = 'file-empty';
+            p.textContent = t('files.empty');
+            this.elements.list.appendChild(p);
+        }
+    }
+
+    /**
+     * リンク風ボタンの作成
+     * @private
+     * @param {string} label - ラベル
+     * @param {Function} action - クリック時の処理
+     * @returns {HTMLButtonElement}
+     */
+    createLink(label, action) {
+        const button = document.createElement('button');
+        button.className = 'file-link';
+        button.textContent = label;
+        button.addEventListener('click', action);
+        return button;
+    }
+
+    /**
+     * 操作ボタンの作成
+     * @private
+     * @param {string} label - ラベル
+     * @param {string} title - 説明
+     * @param {Function} action - クリック時の処理
+     * @returns {HTMLButtonElement}
+     */
+    createActionButton(label, title, action) {
+        const button = document.createElement('button');
+        button.className = 'btn btn-small btn-secondary';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', action);
+        return button;
+    }
+
+    /**
+     * メッセージの描画
+     * @private
+     * @param {string} message - メッセージ
+     */
+    renderMessage(message) {
+        this.elements.list.innerHTML = '';
+
+        const p = document.createElement('p');
+        p.className = 'file-empty';
+        p.textContent = message;
+        this.elements.list.appendChild(p);
+    }
+
+    /**
+     * ファイルのアップロード
+     * @param {FileList|Array<File>} files - アップロードするファイル
+     * @returns {Promise<void>}
+     */
+    async uploadFiles(files) {
+        if (!this.webRService || !this.webRService.isReady() || files.length === 0) {
+            return;
+        }
+
+        for (const file of Array.from(files)) {
+            try {
+                const data = new Uint8Array(await file.arrayBuffer());
+                await this.webRService.writeFile(joinPath(this.currentDirectory, file.name), data);
+                console.info(`${file.name} をアップロードしました`);
+            } catch (error) {
+                console.error('アップロードエラー:', error);
+                window.alert(t('files.uploadFailed', { name: file.name, message: error.message }));
+            }
+        }
+
+        await this.refresh();
+    }
+
+    /**
+     * ファイルのダウンロード
+     * @private
+     * @param {WebRPlayground.FileEntry} file - ファイル
+     * @returns {Promise<void>}
+     */
+    async downloadFile(file) {
+        try {
+            const data = await this.webRService.readFile(file.path);
+            const blob = new Blob([data], { type: 'application/octet-stream' });
+            const url = URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = file.name;
+            a.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('ダウンロードエラー:', error);
+            window.alert(t('files.downloadFailed', { name: file.name, message: error.message }));
+        }
+    }
+
+    /**
+     * ファイル名の変更
+     * @private
+     * @param {WebRPlayground.FileEntry} file - ファイル
+     * @returns {Promise<void>}
+     */
+    async renameFile(file) {
+        const name = window.prompt(t('files.renamePrompt'), file.name);
+        if (!name || name === file.name) {
+            return;
+        }
+
+        if (name.includes('/')) {
+            window.alert(t('files.invalidName'));
+            return;
+        }
+
+        try {
+            await this.webRService.renameFile(file.path, joinPath(this.currentDirectory, name));
+        } catch (error) {
+            console.error('名前変更エラー:', error);
+            window.alert(error.message);
+        }
+
+        await this.refresh();
+    }
+
+    /**
+     * ファイルの削除
+     * @private
+     * @param {WebRPlayground.FileEntry} file - ファイル
+     * @returns {Promise<void>}
+     */
+    async deleteFile(file) {
+        const message = file.isDirectory ? 'files.deleteFolderConfirm' : 'files.deleteFileConfirm';
+        if (!window.confirm(t(message, { name: file.name }))) {
+            return;
+        }
+
+        try {
+            await this.webRService.deleteFile(file.path);
+        } catch (error) {
+            console.error('削除エラー:', error);
+            window.alert(error.message);
+        }
+
+        await this.refresh();
+    }
+
+    /**
+     * フォルダの作成
+     * @private
+     * @returns {Promise<void>}
+     */
+    async createFolder() {
+        if (!this.webRService || !this.webRService.isReady()) {
+            return;
+        }
+
+        const name = window.prompt(t('files.folderPrompt'));
+        if (!name) {
+            return;
+        }
+
+        try {
+            await this.webRService.createDirectory(joinPath(this.currentDirectory, name));
+        } catch (error) {
+            console.error('フォルダ作成エラー:', error);
+            window.alert(t('files.folderFailed', { message: error.message }));
+        }
+
+        await this.refresh();
+    }
+}
+
+// デフォルトエクスポート
+export default FileBrowser;
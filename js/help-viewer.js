@@ -0,0 +1,322 @@
+/**
+ * ヘルプビューア - Rのヘルプページの表示・トピック間の移動・検索
+ * @module help-viewer
+ */
+
+import { t } from './i18n.js';
+
+/** 検索結果の最大表示件数 */
+const MAX_SEARCH_RESULTS = 50;
+
+/** 検索入力から検索を始めるまでの待ち時間（ミリ秒） */
+const SEARCH_DELAY = 200;
+
+/**
+ * Rd2HTMLが出力するヘルプ間のリンク
+ * "../../パッケージ/help/トピック" または "../help/トピック"（パッケージ未確定）の形式
+ */
+const HELP_LINK_PATTERN = /^(?:\.\.\/\.\.\/([^/]+)\/|\.\.\/)(?:help|html)\/([^#?]+?)(?:\.html)?(?:[#?].*)?$/;
+
+/**
+ * ヘルプ間のリンクを解析
+ * @param {string} href - リンク先
+ * @returns {{topic: string, packageName: string|null}|null} ヘルプ間のリンクでなければnull
+ */
+function parseHelpLink(href) {
+    const match = href.match(HELP_LINK_PATTERN);
+    if (!match) {
+        return null;
+    }
+    return {
+        topic: decodeURIComponent(match[2]),
+        packageName: match[1] ? decodeURIComponent(match[1]) : null
+    };
+}
+
+/**
+ * 検索語との一致度（小さいほど良い、一致しなければ-1）
+ * @param {WebRPlayground.HelpTopic} topic - ヘルプトピック
+ * @param {string} needle - 小文字にした検索語
+ * @returns {number}
+ */
+function matchScore(topic, needle) {
+    const aliases = topic.aliases.map(alias => alias.toLowerCase());
+    if (aliases.includes(needle)) return 0;
+    if (aliases.some(alias => alias.startsWith(needle))) return 1;
+    if (aliases.some(alias => alias.includes(needle))) return 2;
+    if (topic.title.toLowerCase().includes(needle)) return 3;
+    return -1;
+}
+
+/**
+ * ヘルプビューアクラス
+ */
+export class HelpViewer {
+    /**
+     * @param {Object} elements - ビューアを構成する要素
+     * @param {HTMLElement} elements.panel - パネル全体
+     * @param {HTMLInputElement} elements.searchInput - 検索入力
+     * @param {HTMLElement} elements.results - 検索結果の表示先
+     * @param {HTMLElement} elements.content - ヘルプ本文の表示先
+     * @param {HTMLButtonElement} elements.backBtn - 戻るボタン
+     * @param {HTMLElement} elements.examples - 例の操作ボタンの表示先
+     * @param {HTMLButtonElement} elements.openExampleBtn - 例をエディタで開くボタン
+     * @param {HTMLButtonElement} elements.runExampleBtn - 例を実行するボタン
+     */
+    constructor(elements) {
+        /** @type {Object.<string, HTMLElement>} */
+        this.elements = elements;
+
+        /** @type {WebRPlayground.IWebRService|null} */
+        this.webRService = null;
+
+        /** @type {Object.<string, Function>} */
+        this.handlers = {};
+
+        /** @type {WebRPlayground.HelpPage|null} 表示中のページ */
+        this.page = null;
+
+        /** @type {Array<WebRPlayground.HelpPage>} 戻る操作のための履歴 */
+        this.history = [];
+
+        /** @type {number|null} */
+        this.searchTimer = null;
+    }
+
+    /**
+     * ビューアの初期化
+     * @param {WebRPlayground.IWebRService} webRService - WebRサービス
+     * @param {Object} handlers - イベントハンドラ
+     * @param {function(string, string): void} handlers.onOpenExample - 例をエディタで開く（名前, コード）
+     * @param {function(string): void} handlers.onRunExample - 例を実行する
+     */
+    initialize(webRService, { onOpenExample, onRunExample }) {
+        this.webRService = webRService;
+        this.handlers = { onOpenExample, onRunExample };
+
+        this.setupEventListeners();
+        this.renderMessage(t('help.intro'));
+    }
+
+    /**
+     * イベントリスナーの設定
+     * @private
+     */
+    setupEventListeners() {
+        this.elements.backBtn.addEventListener('click', () => this.back());
+
+        this.elements.searchInput.addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.search(this.elements.searchInput.value), SEARCH_DELAY);
+        });
+        this.elements.searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                clearTimeout(this.searchTimer);
+                this.search(this.elements.searchInput.value);
+            }
+        });
+
+        this.elements.openExampleBtn.addEventListener('click', () => {
+            if (this.page?.examples) {
+                this.handlers.onOpenExample(t('help.exampleScript', { topic: this.page.topic }), this.page.examples);
+            }
+        });
+        this.elements.runExampleBtn.addEventListener('click', () => {
+            if (this.page?.examples) {
+                this.handlers.onRunExample(this.page.examples);
+            }
+        });
+
+        // ヘルプ間のリンクはビューア内で開く
+        this.elements.content.addEventListener('click', (e) => {
+            const link = e.target.closest('a[href]');
+            if (!link) {
+                return;
+            }
+
+            const href = link.getAttribute('href');
+            if (href.startsWith('#')) {
+                return;
+            }
+
+            e.preventDefault();
+
+            const target = parseHelpLink(href);
+            if (target) {
+                this.show(target);
+            } else if (/^https?:\/\//.test(href)) {
+                window.open(href, '_blank', 'noopener');
+            }
+        });
+    }
+
+    /**
+     * コードの実行で要求されたヘルプを表示
+     * @param {{topic: string, paths: Array<string>}} entry - ヘルプのエントリ
+     * @returns {Promise<void>}
+     */
+    async showRequested(entry) {
+        this.elements.panel.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        await this.show({ topic: entry.topic, path: entry.paths[0] });
+    }
+
+    /**
+     * ヘルプページの表示
+     * @param {{topic?: string, packageName?: string|null, path?: string}} target - 表示するヘルプ
+     * @returns {Promise<void>}
+     */
+    async show(target) {
+        if (!this.webRService || !this.webRService.isReady()) {
+            return;
+        }
+
+        this.renderMessage(t('help.loading', { topic: target.topic }));
+
+        try {
+            const page = await this.webRService.getHelpPage(target);
+            if (!page) {
+                this.renderMessage(t('help.notFound', { topic: target.topic }));
+                return;
+            }
+
+            if (this.page) {
+                this.history.push(this.page);
+            }
+            this.render(page);
+        } catch (error) {
+            console.error('ヘルプの取得エラー:', error);
+            this.renderMessage(t('help.loadFailed', { message: error.message }));
+        }
+    }
+
+    /**
+     * 表示言語の変更を反映
+     * ヘルプ本文はRが出力したものを表示するため、ページがないときの案内のみ訳し直す
+     */
+    updateLocale() {
+        if (!this.page) {
+            this.renderMessage(t('help.intro'));
+        }
+    }
+
+    /**
+     * 前のページに戻る
+     */
+    back() {
+        const page = this.history.pop();
+        if (page) {
+            this.render(page);
+        }
+    }
+
+    /**
+     * ヘルプページの描画
+     * @private
+     * @param {WebRPlayground.HelpPage} page - ヘルプページ
+     */
+    render(page) {
+        this.page = page;
+
+        const doc = new DOMParser().parseFromString(page.html, 'text/html');
+
+        // スクリプト・外部スタイル・イベント属性は取り除く
+        doc.querySelectorAll('script, style, link, iframe, object, embed').forEach(el => el.remove());
+        doc.body.querySelectorAll('*').forEach(el => {
+            Array.from(el.attributes)
+                .filter(attr => attr.name.startsWith('on'))
+                .forEach(attr => el.removeAttribute(attr.name));
+        });
+
+        this.elements.content.replaceChildren(...Array.from(doc.body.childNodes));
+        this.elements.content.scrollTop = 0;
+
+        this.elements.backBtn.disabled = this.history.length === 0;
+        this.elements.examples.hidden = !page.examples.trim();
+        this.elements.results.hidden = true;
+    }
+
+    /**
+     * メッセージの描画
+     * @private
+     * @param {string} message - メッセージ
+     */
+    renderMessage(message) {
+        const p = document.createElement('p');
+        p.className = 'help-empty';
+        p.textContent = message;
+        this.elements.content.replaceChildren(p);
+        this.elements.examples.hidden = true;
+    }
+
+    /**
+     * ヘルプトピックの検索
+     * @param {string} query - 検索語
+     * @returns {Promise<void>}
+     */
+    async search(query) {
+        const needle = query.trim().toLowerCase();
+        const results = this.elements.results;
+
+        if (!needle || !this.webRService || !this.webRService.isReady()) {
+            results.hidden = true;
+            return;
+        }
+
+        results.hidden = false;
+
+        let topics;
+        try {
+            topics = await this.webRService.getHelpTopics();
+        } catch (error) {
+            console.error('ヘルプトピックの取得エラー:', error);
+            results.textContent = t('help.topicsFailed', { message: error.message });
+            return;
+        }
+
+        // 検索中に入力が変わっていれば古い結果は表示しない
+        if (this.elements.searchInput.value.trim().toLowerCase() !== needle) {
+            return;
+        }
+
+        const matches = topics
+            .map(topic => ({ topic, score: matchScore(topic, needle) }))
+            .filter(match => match.score >= 0)
+            .sort((a, b) => a.score - b.score)
+            .slice(0, MAX_SEARCH_RESULTS);
+
+        if (matches.length === 0) {
+            results.textContent = t('help.noMatches', { query: query.trim() });
+            return;
+        }
+
+        const list = document.createElement('ul');
+        list.className = 'help-result-list';
+
+        matches.forEach(({ topic }) => {
+            const item = document.createElement('li');
+
+            const button = document.createElement('button');
+            button.className = 'help-result';
+            button.addEventListener('click', () => this.show({ topic: topic.topic, packageName: topic.package }));
+
+            const name = document.createElement('span');
+            name.className = 'help-result-name';
+            name.textContent = `${topic.topic} {${topic.package}}`;
+
+            const title = document.createElement('span');
+            title.className = 'help-result-title';
+            title.textContent = topic.title;
+
+            button.appendChild(name);
+            button.appendChild(title);
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+
+        results.replaceChildren(list);
+    }
+}
+
+// デフォルトエクスポート
+export default HelpViewer;
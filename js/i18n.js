@@ -0,0 +1,150 @@
+/**
+ * 多言語対応 - メッセージカタログによるUI文字列の翻訳と表示言語の切り替え
+ * @module i18n
+ */
+
+import ja from './locales/ja.js';
+import en from './locales/en.js';
+
+/** 言語ごとのメッセージカタログ */
+const catalogs = { ja, en };
+
+/** カタログにない文字列の参照先（元の文言が日本語のため） */
+const FALLBACK_LOCALE = 'ja';
+
+/** 選んだ言語を保存するlocalStorageのキー */
+const STORAGE_KEY = 'webr-playground-locale';
+
+/** 言語切り替えの選択肢に表示する名前 */
+export const LOCALE_NAMES = {
+    ja: '日本語',
+    en: 'English'
+};
+
+/** @type {string} 現在の言語 */
+let currentLocale = FALLBACK_LOCALE;
+
+/** @type {Set<function(string): void>} 言語の変更を受け取るリスナー */
+const listeners = new Set();
+
+/**
+ * 対応している言語の一覧
+ * @returns {Array<string>}
+ */
+export function getLocales() {
+    return Object.keys(catalogs);
+}
+
+/**
+ * 現在の言語
+ * @returns {string}
+ */
+export function getLocale() {
+    return currentLocale;
+}
+
+/**
+ * 起動時の言語を決める
+ * 保存された選択を優先し、なければブラウザの言語設定から選ぶ
+ * @returns {string}
+ */
+export function detectLocale() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        if (saved && catalogs[saved]) {
+            return saved;
+        }
+    } catch (error) {
+        console.warn('言語設定の読み込みに失敗しました:', error);
+    }
+
+    const languages = navigator.languages?.length ? navigator.languages : [navigator.language];
+    for (const language of languages) {
+        const base = String(language || '').toLowerCase().split('-')[0];
+        if (catalogs[base]) {
+            return base;
+        }
+    }
+    return 'en';
+}
+
+/**
+ * 言語の設定
+ * @param {string} locale - 言語
+ * @param {Object} [options] - オプション
+ * @param {boolean} [options.persist=true] - 選択をlocalStorageに保存するか
+ */
+export function setLocale(locale, { persist = true } = {}) {
+    if (!catalogs[locale]) {
+        throw new Error(`サポートされていない言語です: ${locale}`);
+    }
+
+    if (persist) {
+        try {
+            localStorage.setItem(STORAGE_KEY, locale);
+        } catch (error) {
+            console.warn('言語設定の保存に失敗しました:', error);
+        }
+    }
+
+    if (locale === currentLocale) {
+        return;
+    }
+
+    currentLocale = locale;
+    if (typeof document !== 'undefined') {
+        document.documentElement.lang = locale;
+    }
+    listeners.forEach(listener => listener(locale));
+}
+
+/**
+ * 言語の変更を受け取るリスナーを登録
+ * @param {function(string): void} listener - 新しい言語を受け取る関数
+ * @returns {function(): void} 登録を解除する関数
+ */
+export function onLocaleChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+/**
+ * 現在の言語のカタログにメッセージがあるか
+ * @param {string} key - メッセージキー
+ * @returns {boolean}
+ */
+export function hasMessage(key) {
+    return key in catalogs[currentLocale];
+}
+
+/**
+ * メッセージの翻訳
+ * 「{name}」の形の箇所はパラメータで置き換える
+ * @param {string} key - メッセージキー
+ * @param {Object.<string, any>} [params] - 埋め込む値
+ * @returns {string} カタログにない場合はキーそのもの
+ */
+export function t(key, params = {}) {
+    const message = catalogs[currentLocale][key] ?? catalogs[FALLBACK_LOCALE][key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * 要素の属性に書かれたキーで文書内の文字列を翻訳
+ * data-i18n は本文、data-i18n-attr は「属性名:キー」を「;」区切りで指定する
+ * @param {ParentNode} [root=document] - 翻訳する範囲
+ */
+export function translateDocument(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+
+    root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+        el.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attr, key] = pair.split(':').map(part => part.trim());
+            if (attr && key) {
+                el.setAttribute(attr, t(key));
+            }
+        });
+    });
+}
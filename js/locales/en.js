@@ -0,0 +1,335 @@
+/**
+ * 英語のメッセージカタログ
+ * @module locales/en
+ */
+
+/** @type {Object.<string, string>} */
+const messages = {
+    // アプリケーション
+    'app.title': 'WebR Playground',
+    'app.description': 'An interactive playground for running R code in the browser',
+    'app.language': 'Language',
+    'app.leaveWhileRunning': 'Code is still running. Leave this page?',
+    'app.errorTitle': 'Error',
+    'app.startFailed': 'WebR Playground failed to start.',
+    'app.reloadHint': 'Please reload the page and try again.',
+    'app.reload': 'Reload page',
+
+    // テーマ
+    'theme.label': 'Theme',
+    'theme.system': 'System',
+    'theme.light': 'Light',
+    'theme.dark': 'Dark',
+    'theme.darkPlots': 'Dark plots',
+    'theme.darkPlotsTitle': 'Draw plots on a dark background when the dark theme is active',
+
+    // オフライン
+    'offline.unsupported': 'Offline mode is not supported in this browser',
+    'offline.cached': 'Offline cache: {size}',
+    'offline.notCached': 'No offline cache',
+    'offline.offline': 'Offline',
+    'offline.update': 'Update runtime',
+    'offline.updateTitle': 'Delete the cached webR runtime and download the latest version',
+    'offline.updateConfirm': 'The cached webR runtime will be deleted and the page reloaded. The R session will be lost. Continue?',
+    'offline.updateNeedsNetwork': 'Updating the runtime requires a network connection',
+    'offline.updateFailed': 'Could not update the runtime: {message}',
+    'offline.notControlled': 'The service worker is not active',
+    'offline.noResponse': 'The service worker did not respond',
+
+    // 共通
+    'common.waitingForWebR': 'Waiting for WebR to initialize...',
+    'common.errorPrefix': 'Error: {message}',
+    'common.warningPrefix': 'Warning: {message}',
+    'common.save': 'Save',
+    'common.delete': 'Delete',
+    'common.deleteTitle': 'Delete {name}',
+    'common.refresh': 'Refresh',
+    'common.search': 'Search',
+
+    // ステータス
+    'status.initializing': 'Initializing WebR...',
+    'status.loadingWasm': 'Loading WebAssembly...',
+    'status.preparingR': 'Setting up the R environment...',
+    'status.preparingPackages': 'Preparing packages...',
+    'status.almostDone': 'Almost done...',
+    'status.ready': 'WebR ready',
+    'status.readyVersions': 'WebR ready (webR {webR} / R {R})',
+    'status.readyMessage': 'WebR is ready. You can now run R code.',
+    'status.stopping': 'Stopping execution...',
+
+    // エラー
+    'errors.notInitialized': 'WebR is not initialized',
+    'errors.initFailed': 'Failed to initialize WebR: {message}',
+    'errors.initError': 'Initialization error: {message}',
+    'errors.variableNameRequired': 'A variable name is required',
+    'errors.packageIndexFailed': 'Could not fetch the package list ({status})',
+    'errors.deleteFailed': 'Could not delete: {path}',
+    'errors.renameFailed': 'Could not rename: {from} → {to}',
+
+    // エラーのヒント
+    'hints.objectNotFound': 'Object not found. Check the spelling of the name and that the code defining it has been run first.',
+    'hints.functionNotFound': 'Function not found. Check the spelling of the function name and that the package providing it is loaded with library().',
+    'hints.syntaxError': 'Syntax error. Check for unmatched brackets or quotes and missing commas or operators.',
+    'hints.lengthZero': 'The argument has length zero. Check that a condition is not NULL or an empty vector.',
+    'hints.missingValue': 'The condition contains a missing value (NA).',
+    'hints.dimensions': 'Wrong number of dimensions. Check that [i, j] is only used on matrices and data frames.',
+    'hints.nonNumeric': 'Arithmetic was applied to a value that is not numeric.',
+    'hints.outOfBounds': 'Subscript out of bounds. Check the number of elements and their names.',
+    'hints.noPackage': 'The package is not installed. Install it from the Packages panel.',
+
+    // 実行
+    'run.alreadyRunning': 'Code is already running',
+    'run.enterCode': 'Please enter some code',
+    'run.failed': 'Execution error: {message}',
+    'run.busy': 'Other code is already running',
+    'run.noCode': 'No code was given',
+    'run.timeout': 'Stopped because the run exceeded the time limit ({seconds} s)',
+    'run.interrupted': 'Execution was interrupted',
+    'run.superseded': 'Stopped because the code was edited',
+    'run.sessionRestarted': ' (the R session was restarted, so existing objects were lost)',
+    'run.unknownError': 'An error occurred while running the code',
+    'run.outputLimited': '... (output is too long; the rest is omitted)',
+    'run.outputTruncated': '... (output was too long and has been truncated)',
+
+    // エディタ
+    'editor.panel': 'Code input',
+    'editor.title': 'R code',
+    'editor.placeholder': 'Type R code here...',
+    'editor.inputLabel': 'R code input',
+    'editor.run': 'Run (Ctrl+Shift+Enter)',
+    'editor.runLabel': 'Run the code',
+    'editor.runLine': 'Run line (Ctrl+Enter)',
+    'editor.runLineLabel': 'Run the selection or the current line',
+    'editor.stop': 'Stop (Esc)',
+    'editor.stopLabel': 'Stop execution',
+    'editor.clear': 'Clear input',
+    'editor.clearLabel': 'Clear the input',
+    'editor.cleared': 'Input cleared',
+    'editor.nothingToSave': 'There is no code to save',
+    'editor.saved': 'Code saved',
+    'editor.defaultScriptComment': 'A basic example',
+    'live.label': 'Live',
+    'live.title': 'Re-run the script automatically when you stop editing',
+
+    // スクリプトタブ
+    'tabs.list': 'Scripts',
+    'tabs.new': 'New script',
+    'tabs.newLabel': 'Open a new script',
+    'tabs.untitled': 'Script {n}',
+    'tabs.legacyScript': 'Saved script',
+    'tabs.renamePrompt': 'Enter a script name',
+    'tabs.closeConfirm': 'Close "{name}"? Its contents will be deleted.',
+    'tabs.tabTitle': '{name} (double-click to rename, Alt+←/→ to move)',
+    'tabs.close': 'Close {name}',
+    'tabs.saved': 'Scripts saved',
+
+    // 実行結果
+    'output.title': 'Output',
+    'output.clear': 'Clear output',
+    'output.clearLabel': 'Clear the output',
+    'output.cleared': 'Output cleared',
+    'output.executedCode': 'Executed code:',
+    'output.result': 'Result:',
+    'output.none': '(no output)',
+    'output.unknownError': 'Unknown error',
+    'output.executionTime': 'Execution time: {ms}ms',
+    'output.editorLine': 'Editor line {line}',
+    'output.helpShown': 'Showing help for "{topic}" in the Help panel',
+    'console.inputLabel': 'R console input (↑↓ for history)',
+
+    // プロット
+    'plots.area': 'Plot area',
+    'plots.previous': 'Previous plot',
+    'plots.next': 'Next plot',
+    'plots.saveCurrent': 'Save the current plot',
+    'plots.saveAll': 'Save all',
+    'plots.saveAllLabel': 'Save all plots',
+    'plots.list': 'Plots',
+    'plots.thumbnail': 'Plot {n}',
+    'plots.showThumbnail': 'Show plot {n}',
+    'plots.nothingToSave': 'There are no plots to save',
+    'plots.saved': 'Plot saved',
+
+    // サンプルコード
+    'examples.title': 'Examples',
+    'examples.loaded': 'Loaded "{name}"',
+    'examples.notFound': 'Example "{id}" was not found',
+    'examples.requiresPackages': 'Required packages: {packages}',
+    'examples.fetchFailed': 'Could not fetch {url} ({status})',
+    'examples.invalidManifest': 'The example manifest is not valid: {url}',
+    'examples.missingId': 'The example has no ID',
+    'examples.searchPlaceholder': 'Search names, descriptions and code',
+    'examples.searchLabel': 'Search examples',
+    'examples.noMatches': 'No examples match "{query}"',
+    'examples.category.basic': 'Basics',
+    'examples.category.visualization': 'Visualization',
+    'examples.category.statistics': 'Statistics',
+    'examples.category.advanced': 'Advanced',
+    'examples.category.other': 'Other',
+    'examples.category.snippets': 'My snippets',
+    'examples.basic.label': 'Basic statistics',
+    'examples.basic.description': 'Compute basic summary statistics',
+    'examples.plot.label': 'Plotting',
+    'examples.plot.description': 'Draw a sine wave',
+    'examples.dataframe.label': 'Data frames',
+    'examples.dataframe.description': 'Create and work with a data frame',
+    'examples.regression.label': 'Regression',
+    'examples.regression.description': 'Fit a linear regression',
+    'examples.multiplot.label': 'Multiple plots',
+    'examples.multiplot.description': 'Show four plots at once',
+    'examples.advanced.label': 'Advanced plot',
+    'examples.advanced.description': 'Compare several normal distributions',
+    'examples.matrix.label': 'Matrices',
+    'examples.matrix.description': 'Create matrices and do basic operations',
+    'examples.functions.label': 'Functions',
+    'examples.functions.description': 'Define and use custom functions',
+
+    // スニペット
+    'snippets.save': 'Save as snippet',
+    'snippets.saveLabel': 'Save the current script as a snippet',
+    'snippets.empty': 'Use "Save as snippet" to add the current script here',
+    'snippets.namePrompt': 'Enter a snippet name',
+    'snippets.descriptionPrompt': 'Enter a description for the snippet (optional)',
+    'snippets.replaceCodeConfirm': 'Replace the code of "{name}" with the current script "{script}"?',
+    'snippets.deleteConfirm': 'Delete snippet "{name}"?',
+    'snippets.editTitle': 'Edit {name}',
+    'snippets.saved': 'Saved snippet "{name}"',
+    'snippets.updated': 'Updated snippet "{name}"',
+
+    // 共有
+    'share.button': 'Share',
+    'share.buttonLabel': 'Copy a link that shares this code',
+    'share.autorun': 'Run on open',
+    'share.autorunTitle': 'Run the code automatically when the shared link is opened',
+    'share.autorunConfirm': 'This shared link asks to run its code on open. Only run code you trust. Run it now?',
+    'share.scriptName': 'Shared script',
+    'share.noCodeToShare': 'There is no code to share',
+    'share.copied': 'Share link copied:',
+    'share.copyPrompt': 'Copy the share link',
+    'share.compressionUnsupported': 'This browser does not support compressed share links',
+    'share.decodeFailed': 'Could not read the share link: {message}',
+    'share.noCode': 'The share link does not contain any code',
+
+    // 埋め込み（<webr-playground>）
+    'embed.run': 'Run',
+    'embed.runLabel': 'Run the code (Ctrl+Enter)',
+    'embed.loading': 'Loading WebR...',
+    'embed.waiting': 'Waiting for other code to finish...',
+    'embed.running': 'Running...',
+
+    // バッチ実行（bin/webr-run.js）
+    'cli.usage': `Usage:
+  node bin/webr-run.js [options] <script.R ...>
+  node bin/webr-run.js --examples [--manifest <index.json>] [--update-snapshots]
+
+Options:
+  --json               Print the results as JSON
+  --plots <dir>        Directory for plot PNGs (default: plots; with --examples, saved only when given)
+  --width <px>         Plot width (default: 800)
+  --height <px>        Plot height (default: 600)
+  --timeout <seconds>  Time limit per script (0 for none, default: 60)
+  --examples           Run every example in the collection and compare with snapshots
+  --manifest <path>    Example manifest (default: examples/index.json)
+  --update-snapshots   Create or update snapshots from this run's output
+  --lang <ja|en>       Display language
+  --verbose            Show progress such as webR initialization`,
+    'cli.readFailed': 'Could not read {file}: {message}',
+    'cli.plotSaved': 'Saved plot: {path}',
+    'cli.packageFailed': 'Could not install package {name}',
+    'cli.firstDifference': 'Line {line} differs\n      snapshot: {expected}\n      output:   {actual}',
+    'cli.summary': '{passed} passed / {failed} failed / {changed} changed / {missing} without snapshot / {updated} updated',
+    'cli.status.passed': '[pass]',
+    'cli.status.failed': '[FAIL]',
+    'cli.status.changed': '[diff]',
+    'cli.status.missing': '[none]',
+    'cli.status.updated': '[updated]',
+
+    // 保存
+    'storage.indexedDbUnavailable': 'IndexedDB is not available in this browser',
+    'storage.sessionOnly': 'The database was upgraded in another tab, so changes in this tab are no longer saved. Reload the page',
+    'storage.blocked': 'The database cannot be upgraded while another tab has an older version of the page open',
+
+    // データの読み込み
+    'data.columnLengthMismatch': 'Columns have different lengths',
+    'data.csvNotString': 'CSV data must be given as a string',
+    'data.columnNotArray': 'Column "{name}" must be an array',
+    'data.unsupported': 'Unsupported data format',
+
+    // 環境パネル
+    'environment.panel': 'R environment',
+    'environment.title': 'Environment (global objects)',
+    'environment.refreshLabel': 'Refresh the environment',
+    'environment.empty': 'The global environment is empty',
+    'environment.loadFailed': 'Could not read the environment: {message}',
+    'environment.column.name': 'Name',
+    'environment.column.class': 'Class',
+    'environment.column.type': 'Type',
+    'environment.column.size': 'Size',
+    'environment.column.preview': 'Preview',
+    'environment.print': 'Print',
+    'environment.printTitle': 'Print {name} in the console',
+    'environment.deleteConfirm': 'Delete object "{name}"?',
+
+    // ファイルパネル
+    'files.title': 'Files',
+    'files.upload': 'Upload',
+    'files.uploadLabel': 'Upload files',
+    'files.newFolder': 'New folder',
+    'files.newFolderLabel': 'Create a folder',
+    'files.refreshLabel': 'Refresh the file list',
+    'files.loadFailed': 'Could not list files: {message}',
+    'files.empty': 'No files. Drop files here to upload them.',
+    'files.downloadTitle': 'Download {name}',
+    'files.rename': 'Rename',
+    'files.renameTitle': 'Rename {name}',
+    'files.uploadFailed': 'Could not upload {name}: {message}',
+    'files.downloadFailed': 'Could not download {name}: {message}',
+    'files.renamePrompt': 'Enter a new name',
+    'files.invalidName': 'Names cannot contain "/"',
+    'files.deleteFileConfirm': 'Delete file "{name}"?',
+    'files.deleteFolderConfirm': 'Delete folder "{name}" and everything in it?',
+    'files.folderPrompt': 'Enter a folder name',
+    'files.folderFailed': 'Could not create the folder: {message}',
+
+    // パッケージパネル
+    'packages.title': 'Packages',
+    'packages.repository': 'Repository:',
+    'packages.searchPlaceholder': 'Search by package name (e.g. dplyr)',
+    'packages.searchLabel': 'Search packages',
+    'packages.installedHeading': 'Installed',
+    'packages.loaded': 'Loaded',
+    'packages.load': 'Load',
+    'packages.loadTitle': 'Load {name}',
+    'packages.install': 'Install',
+    'packages.installTitle': 'Install {name}',
+    'packages.listFailed': 'Could not list packages: {message}',
+    'packages.searching': 'Searching...',
+    'packages.noMatches': 'No packages match "{query}"',
+    'packages.searchFailed': 'Search failed: {message}',
+    'packages.installing': 'Installing {name}...',
+    'packages.installed': 'Installed {name}',
+    'packages.installFailed': 'Could not install {name}',
+    'packages.loadDone': 'Loaded {name}',
+    'packages.loadFailed': 'Could not load {name}: {message}',
+    'packages.busy': 'Not available while code is running',
+    'packages.depends': 'Depends: {depends}',
+
+    // ヘルプパネル
+    'help.title': 'Help',
+    'help.back': 'Back',
+    'help.backLabel': 'Back to the previous help page',
+    'help.searchPlaceholder': 'Search help topics (e.g. lm)',
+    'help.searchLabel': 'Search help topics',
+    'help.openExample': 'Open examples in editor',
+    'help.runExample': 'Run examples',
+    'help.intro': 'Run ?lm or help("mean"), or search for a topic',
+    'help.exampleScript': 'Examples: {topic}',
+    'help.loading': 'Loading help for "{topic}"...',
+    'help.notFound': 'No help found for "{topic}"',
+    'help.loadFailed': 'Could not show help: {message}',
+    'help.topicsFailed': 'Could not fetch topics: {message}',
+    'help.noMatches': 'No topics match "{query}"'
+};
+
+// デフォルトエクスポート
+export default messages;
@@ -0,0 +1,320 @@
+/**
+ * 日本語のメッセージカタログ
+ * 他の言語にない文字列はここから参照される
+ * @module locales/ja
+ */
+
+/** @type {Object.<string, string>} */
+const messages = {
+    // アプリケーション
+    'app.title': 'WebR実験場',
+    'app.description': 'ブラウザ上でRコードを実行できるインタラクティブな実験環境',
+    'app.language': '表示言語',
+    'app.leaveWhileRunning': 'コードの実行中です。ページを離れますか？',
+    'app.errorTitle': 'エラー',
+    'app.startFailed': 'WebR実験場の起動に失敗しました。',
+    'app.reloadHint': 'ブラウザを更新してもう一度お試しください。',
+    'app.reload': 'ページを更新',
+
+    // テーマ
+    'theme.label': 'テーマ',
+    'theme.system': 'システム設定',
+    'theme.light': 'ライト',
+    'theme.dark': 'ダーク',
+    'theme.darkPlots': 'プロットも暗く',
+    'theme.darkPlotsTitle': 'ダークテーマではプロットも暗い背景で描画します',
+
+    // オフライン
+    'offline.unsupported': 'オフライン非対応のブラウザです',
+    'offline.cached': 'オフライン用キャッシュ: {size}',
+    'offline.notCached': 'オフライン用キャッシュなし',
+    'offline.offline': 'オフライン',
+    'offline.update': 'ランタイムを更新',
+    'offline.updateTitle': 'キャッシュしたwebRランタイムを削除し、最新版を読み込み直します',
+    'offline.updateConfirm': 'キャッシュしたwebRランタイムを削除してページを再読み込みします。Rセッションの内容は失われます。続けますか？',
+    'offline.updateNeedsNetwork': 'ランタイムの更新にはネットワーク接続が必要です',
+    'offline.updateFailed': 'ランタイムを更新できませんでした: {message}',
+    'offline.notControlled': 'サービスワーカーが有効になっていません',
+    'offline.noResponse': 'サービスワーカーが応答しません',
+
+    // 共通
+    'common.waitingForWebR': 'WebRの初期化をお待ちください...',
+    'common.errorPrefix': 'エラー: {message}',
+    'common.warningPrefix': '警告: {message}',
+    'common.save': '保存',
+    'common.delete': '削除',
+    'common.deleteTitle': '{name} を削除',
+    'common.refresh': '更新',
+    'common.search': '検索',
+
+    // ステータス
+    'status.initializing': 'WebRを初期化しています...',
+    'status.loadingWasm': 'WebAssemblyを読み込んでいます...',
+    'status.preparingR': 'R環境を構築しています...',
+    'status.preparingPackages': 'パッケージを準備しています...',
+    'status.almostDone': 'もうすぐ完了します...',
+    'status.ready': 'WebR準備完了',
+    'status.readyVersions': 'WebR準備完了（webR {webR} / R {R}）',
+    'status.readyMessage': 'WebRが準備完了しました。Rコードを実行できます。',
+    'status.stopping': '実行を中断しています...',
+
+    // エラー
+    'errors.notInitialized': 'WebRが初期化されていません',
+    'errors.initFailed': 'WebRの初期化に失敗しました: {message}',
+    'errors.initError': '初期化エラー: {message}',
+    'errors.variableNameRequired': '変数名を指定してください',
+    'errors.packageIndexFailed': 'パッケージ一覧を取得できませんでした ({status})',
+    'errors.deleteFailed': '削除できませんでした: {path}',
+    'errors.renameFailed': '名前を変更できませんでした: {from} → {to}',
+
+    // エラーのヒント
+    'hints.objectNotFound': 'オブジェクトが見つかりません。名前の綴りと、定義するコードを先に実行したか確認してください',
+    'hints.functionNotFound': '関数が見つかりません。関数名の綴りと、必要なパッケージを library() で読み込んだか確認してください',
+    'hints.syntaxError': '構文エラーです。括弧や引用符の対応、カンマや演算子の抜けを確認してください',
+    'hints.lengthZero': '引数の長さがゼロです。NULLや空のベクトルを条件に使っていないか確認してください',
+    'hints.missingValue': '条件に欠損値（NA）が含まれています',
+    'hints.dimensions': '次元数が正しくありません。行列やデータフレーム以外に [i, j] を使っていないか確認してください',
+    'hints.nonNumeric': '数値ではない値に算術演算を行っています',
+    'hints.outOfBounds': '添字が範囲外です。要素数や名前を確認してください',
+    'hints.noPackage': 'パッケージがインストールされていません。パッケージパネルからインストールしてください',
+
+    // 実行
+    'run.alreadyRunning': 'コードは既に実行中です',
+    'run.enterCode': 'コードを入力してください',
+    'run.failed': '実行エラー: {message}',
+    'run.busy': '別のコードを実行中です',
+    'run.noCode': 'コードが入力されていません',
+    'run.timeout': '実行時間が上限（{seconds}秒）を超えたため中断しました',
+    'run.interrupted': '実行を中断しました',
+    'run.superseded': 'コードが編集されたため実行を中断しました',
+    'run.sessionRestarted': '（Rセッションを再起動したため、作成済みのオブジェクトは失われました）',
+    'run.unknownError': 'コードの実行中にエラーが発生しました',
+    'run.outputLimited': '... (出力が長すぎるため以降は省略されます)',
+    'run.outputTruncated': '... (出力が長すぎるため省略されました)',
+
+    // エディタ
+    'editor.panel': 'コード入力',
+    'editor.title': 'Rコード入力',
+    'editor.placeholder': 'Rコードをここに入力してください...',
+    'editor.inputLabel': 'Rコード入力エリア',
+    'editor.run': '実行 (Ctrl+Shift+Enter)',
+    'editor.runLabel': 'コードを実行',
+    'editor.runLine': '行を実行 (Ctrl+Enter)',
+    'editor.runLineLabel': '選択範囲または現在の行を実行',
+    'editor.stop': '停止 (Esc)',
+    'editor.stopLabel': '実行を停止',
+    'editor.clear': '入力クリア',
+    'editor.clearLabel': '入力をクリア',
+    'editor.cleared': '入力をクリアしました',
+    'editor.nothingToSave': '保存するコードがありません',
+    'editor.saved': 'コードを保存しました',
+    'editor.defaultScriptComment': '基本的な例',
+    'live.label': 'ライブ',
+    'live.title': '編集が止まったらスクリプトを自動で再実行します',
+
+    // スクリプトタブ
+    'tabs.list': 'スクリプト',
+    'tabs.new': '新しいスクリプト',
+    'tabs.newLabel': '新しいスクリプトを開く',
+    'tabs.untitled': 'スクリプト {n}',
+    'tabs.legacyScript': '保存されたスクリプト',
+    'tabs.renamePrompt': 'スクリプト名を入力してください',
+    'tabs.closeConfirm': '「{name}」を閉じますか？内容は削除されます',
+    'tabs.tabTitle': '{name}（ダブルクリックで名前を変更、Alt+←/→で移動）',
+    'tabs.close': '{name} を閉じる',
+    'tabs.saved': 'スクリプトを保存しました',
+
+    // 実行結果
+    'output.title': '実行結果',
+    'output.clear': '出力クリア',
+    'output.clearLabel': '出力をクリア',
+    'output.cleared': '出力をクリアしました',
+    'output.executedCode': '実行されたコード:',
+    'output.result': '結果:',
+    'output.none': '(出力なし)',
+    'output.unknownError': '不明なエラー',
+    'output.executionTime': '実行時間: {ms}ms',
+    'output.editorLine': 'エディタの {line} 行目',
+    'output.helpShown': '「{topic}」のヘルプをヘルプパネルに表示します',
+    'console.inputLabel': 'Rコンソール入力（↑↓で履歴）',
+
+    // プロット
+    'plots.area': 'プロット表示エリア',
+    'plots.previous': '前のプロット',
+    'plots.next': '次のプロット',
+    'plots.saveCurrent': '表示中のプロットを保存',
+    'plots.saveAll': 'すべて保存',
+    'plots.saveAllLabel': 'すべてのプロットを保存',
+    'plots.list': 'プロット一覧',
+    'plots.thumbnail': 'プロット {n}',
+    'plots.showThumbnail': 'プロット {n} を表示',
+    'plots.nothingToSave': '保存するプロットがありません',
+    'plots.saved': 'プロットを保存しました',
+
+    // サンプルコード（各サンプルの名前と説明は examples/ の.Rファイルの定義を使う）
+    'examples.title': 'サンプルコード',
+    'examples.loaded': '「{name}」をロードしました',
+    'examples.notFound': 'サンプル「{id}」は見つかりません',
+    'examples.requiresPackages': '必要なパッケージ: {packages}',
+    'examples.fetchFailed': '{url} を取得できませんでした（{status}）',
+    'examples.invalidManifest': 'サンプル集のマニフェストの形式が正しくありません: {url}',
+    'examples.missingId': 'サンプルのIDが指定されていません',
+    'examples.searchPlaceholder': '名前・説明・コードで検索',
+    'examples.searchLabel': 'サンプルを検索',
+    'examples.noMatches': '「{query}」に一致するサンプルはありません',
+    'examples.category.basic': '基本',
+    'examples.category.visualization': '可視化',
+    'examples.category.statistics': '統計',
+    'examples.category.advanced': '応用',
+    'examples.category.other': 'その他',
+    'examples.category.snippets': 'マイスニペット',
+
+    // スニペット
+    'snippets.save': 'スニペットとして保存',
+    'snippets.saveLabel': '表示中のスクリプトをスニペットとして保存',
+    'snippets.empty': '「スニペットとして保存」で表示中のスクリプトをここに追加できます',
+    'snippets.namePrompt': 'スニペットの名前を入力してください',
+    'snippets.descriptionPrompt': 'スニペットの説明を入力してください（省略可）',
+    'snippets.replaceCodeConfirm': '「{name}」のコードを表示中のスクリプト「{script}」の内容で置き換えますか？',
+    'snippets.deleteConfirm': 'スニペット「{name}」を削除しますか？',
+    'snippets.editTitle': '{name} を編集',
+    'snippets.saved': 'スニペット「{name}」を保存しました',
+    'snippets.updated': 'スニペット「{name}」を更新しました',
+
+    // 共有
+    'share.button': '共有',
+    'share.buttonLabel': 'コードを共有するリンクをコピー',
+    'share.autorun': '開いたら実行',
+    'share.autorunTitle': '共有リンクを開いたときにコードを自動で実行します',
+    'share.autorunConfirm': 'この共有リンクは開いたときにコードを実行するよう指定されています。信頼できるコードだけを実行してください。今すぐ実行しますか？',
+    'share.scriptName': '共有されたスクリプト',
+    'share.noCodeToShare': '共有するコードがありません',
+    'share.copied': '共有リンクをコピーしました:',
+    'share.copyPrompt': '共有リンクをコピーしてください',
+    'share.compressionUnsupported': 'このブラウザは圧縮された共有リンクに対応していません',
+    'share.decodeFailed': '共有リンクを読み込めませんでした: {message}',
+    'share.noCode': '共有リンクにコードが含まれていません',
+
+    // 埋め込み（<webr-playground>）
+    'embed.run': '実行',
+    'embed.runLabel': 'コードを実行 (Ctrl+Enter)',
+    'embed.loading': 'WebRを読み込んでいます...',
+    'embed.waiting': '他のコードの実行を待っています...',
+    'embed.running': '実行中...',
+
+    // バッチ実行（bin/webr-run.js）
+    'cli.usage': `使い方:
+  node bin/webr-run.js [オプション] <script.R ...>
+  node bin/webr-run.js --examples [--manifest <index.json>] [--update-snapshots]
+
+オプション:
+  --json               結果をJSONで出力する
+  --plots <dir>        プロットのPNGの保存先（既定: plots、--examples では指定したときだけ保存）
+  --width <px>         プロットの幅（既定: 800）
+  --height <px>        プロットの高さ（既定: 600）
+  --timeout <秒>       1スクリプトの実行時間の上限（0で無制限、既定: 60）
+  --examples           サンプル集のすべてのサンプルを実行し、スナップショットと比べる
+  --manifest <path>    サンプル集のマニフェスト（既定: examples/index.json）
+  --update-snapshots   スナップショットを今回の出力で作成・更新する
+  --lang <ja|en>       表示言語
+  --verbose            webRの初期化などの経過を表示する`,
+    'cli.readFailed': '{file} を読み込めませんでした: {message}',
+    'cli.plotSaved': 'プロットを保存しました: {path}',
+    'cli.packageFailed': 'パッケージ {name} をインストールできませんでした',
+    'cli.firstDifference': '{line}行目が異なります\n      スナップショット: {expected}\n      今回の出力:       {actual}',
+    'cli.summary': '成功 {passed} / 失敗 {failed} / 差分あり {changed} / スナップショットなし {missing} / 更新 {updated}',
+    'cli.status.passed': '[成功]',
+    'cli.status.failed': '[失敗]',
+    'cli.status.changed': '[差分]',
+    'cli.status.missing': '[なし]',
+    'cli.status.updated': '[更新]',
+
+    // 保存
+    'storage.indexedDbUnavailable': 'このブラウザではIndexedDBを使用できません',
+    'storage.sessionOnly': '別のタブでデータベースが更新されたため、このタブの変更は保存されません。ページを再読み込みしてください',
+    'storage.blocked': '古いバージョンのページを開いている別のタブがあるため、データベースを更新できません',
+
+    // データの読み込み
+    'data.columnLengthMismatch': '列の長さが揃っていません',
+    'data.csvNotString': 'CSVは文字列で指定してください',
+    'data.columnNotArray': '列「{name}」は配列で指定してください',
+    'data.unsupported': 'サポートされていないデータ形式です',
+
+    // 環境パネル
+    'environment.panel': 'R環境',
+    'environment.title': '環境（グローバルオブジェクト）',
+    'environment.refreshLabel': '環境の一覧を更新',
+    'environment.empty': 'グローバル環境にオブジェクトはありません',
+    'environment.loadFailed': '環境を取得できませんでした: {message}',
+    'environment.column.name': '名前',
+    'environment.column.class': 'クラス',
+    'environment.column.type': '型',
+    'environment.column.size': 'サイズ',
+    'environment.column.preview': 'プレビュー',
+    'environment.print': '表示',
+    'environment.printTitle': '{name} をコンソールに表示',
+    'environment.deleteConfirm': 'オブジェクト「{name}」を削除しますか？',
+
+    // ファイルパネル
+    'files.title': 'ファイル',
+    'files.upload': 'アップロード',
+    'files.uploadLabel': 'ファイルをアップロード',
+    'files.newFolder': '新規フォルダ',
+    'files.newFolderLabel': 'フォルダを作成',
+    'files.refreshLabel': 'ファイル一覧を更新',
+    'files.loadFailed': 'ファイル一覧を取得できませんでした: {message}',
+    'files.empty': 'ファイルはありません。ここにファイルをドロップしてアップロードできます',
+    'files.downloadTitle': '{name} をダウンロード',
+    'files.rename': '名前変更',
+    'files.renameTitle': '{name} の名前を変更',
+    'files.uploadFailed': '{name} をアップロードできませんでした: {message}',
+    'files.downloadFailed': '{name} をダウンロードできませんでした: {message}',
+    'files.renamePrompt': '新しい名前を入力してください',
+    'files.invalidName': '名前に「/」は使用できません',
+    'files.deleteFileConfirm': 'ファイル「{name}」を削除しますか？',
+    'files.deleteFolderConfirm': 'フォルダ「{name}」とその中身を削除しますか？',
+    'files.folderPrompt': 'フォルダ名を入力してください',
+    'files.folderFailed': 'フォルダを作成できませんでした: {message}',
+
+    // パッケージパネル
+    'packages.title': 'パッケージ',
+    'packages.repository': 'リポジトリ:',
+    'packages.searchPlaceholder': 'パッケージ名で検索 (例: dplyr)',
+    'packages.searchLabel': 'パッケージを検索',
+    'packages.installedHeading': 'インストール済み',
+    'packages.loaded': '読み込み済み',
+    'packages.load': '読み込み',
+    'packages.loadTitle': '{name} を読み込む',
+    'packages.install': 'インストール',
+    'packages.installTitle': '{name} をインストール',
+    'packages.listFailed': 'パッケージ一覧を取得できませんでした: {message}',
+    'packages.searching': '検索しています...',
+    'packages.noMatches': '「{query}」に一致するパッケージはありません',
+    'packages.searchFailed': '検索に失敗しました: {message}',
+    'packages.installing': '{name} をインストールしています...',
+    'packages.installed': '{name} のインストールが完了しました',
+    'packages.installFailed': '{name} をインストールできませんでした',
+    'packages.loadDone': '{name} を読み込みました',
+    'packages.loadFailed': '{name} を読み込めませんでした: {message}',
+    'packages.busy': 'コードの実行中は操作できません',
+    'packages.depends': '依存: {depends}',
+
+    // ヘルプパネル
+    'help.title': 'ヘルプ',
+    'help.back': '戻る',
+    'help.backLabel': '前のヘルプに戻る',
+    'help.searchPlaceholder': 'ヘルプトピックを検索 (例: lm)',
+    'help.searchLabel': 'ヘルプトピックを検索',
+    'help.openExample': '例をエディタで開く',
+    'help.runExample': '例を実行',
+    'help.intro': '?lm や help("mean") を実行するか、トピックを検索してください',
+    'help.exampleScript': '例: {topic}',
+    'help.loading': '「{topic}」のヘルプを読み込んでいます...',
+    'help.notFound': '「{topic}」のヘルプは見つかりません',
+    'help.loadFailed': 'ヘルプを表示できませんでした: {message}',
+    'help.topicsFailed': 'トピックを取得できませんでした: {message}',
+    'help.noMatches': '「{query}」に一致するトピックはありません'
+};
+
+// デフォルトエクスポート
+export default messages;
@@ -5,6 +5,28 @@
 
 import { WebRService } from './webr-service.js';
 import { UIController } from './ui-controller.js';
+import { readLaunchParams } from './permalink.js';
+import { OfflineCache } from './offline-cache.js';
+import { loadExamples, DEFAULT_EXAMPLES_URL } from './examples.js';
+import { t, detectLocale, setLocale, onLocaleChange } from './i18n.js';
+
+/** テーマの設定を保存するlocalStorageのキー */
+const THEME_STORAGE_KEY = 'webr-playground-theme';
+
+/** プロットをテーマに合わせるかの設定を保存するlocalStorageのキー */
+const DARK_PLOTS_STORAGE_KEY = 'webr-playground-dark-plots';
+
+/** index.html の <meta name="..."> で上書きできる設定 */
+const META_CONFIG = {
+    'webr-base-url': 'webRBaseUrl',
+    'webr-version': 'webRVersion',
+    'examples-url': 'examplesUrl',
+    'package-repo-url': 'packageRepoUrl',
+    'autorun': 'enableAutoRun'
+};
+
+/** 真偽値（"true" / "false"）として読む <meta> の設定 */
+const BOOLEAN_CONFIG = ['enableAutoRun'];
 
 /**
  * アプリケーションクラス
@@ -17,13 +39,21 @@ class WebRPlaygroundApp {
         /** @type {WebRPlayground.IUIController} */
         this.uiController = null;
         
+        /** @type {OfflineCache|null} */
+        this.offlineCache = null;
+        
         /** @type {WebRPlayground.ConfigOptions} */
         this.config = {
             enableAutoRun: false,
             maxOutputLength: 10000,
             plotWidth: 800,
             plotHeight: 600,
-            theme: this.getPreferredTheme()
+            executionTimeout: 30000,
+            packageRepoUrl: 'https://repo.r-wasm.org/',
+            examplesUrl: DEFAULT_EXAMPLES_URL,
+            ...this.getMetaConfig(),
+            theme: this.getPreferredTheme(),
+            darkPlots: localStorage.getItem(DARK_PLOTS_STORAGE_KEY) !== 'false'
         };
         
         /** @type {boolean} */
@@ -43,21 +73,55 @@ class WebRPlaygroundApp {
         try {
             console.log('WebR実験場を初期化しています...');
             
+            // 表示言語の決定（保存された選択、なければブラウザの言語設定）
+            setLocale(detectLocale(), { persist: false });
+            
+            // テーマの反映（画面のちらつきを抑えるため最初に行う）
+            this.applyTheme();
+            
             // UIコントローラーの初期化
             this.uiController = new UIController();
             
+            // 共有リンク・サンプル指定の読み取り（プロットサイズは設定に反映）
+            const launch = await this.readLaunchParams();
+            if (launch.shared?.plotWidth) {
+                this.config.plotWidth = launch.shared.plotWidth;
+                this.config.plotHeight = launch.shared.plotHeight;
+            }
+            
             // WebRサービスの初期化
             this.webRService = new WebRService(this.config);
             
+            // サンプル集の読み込み（失敗してもサンプルなしで起動する）
+            await this.loadExamples();
+            
             // UIにサービスを接続
             this.uiController.initialize(this.webRService);
+            this.setupThemeControls();
+            
+            // サービスワーカーの登録（オフライン対応）
+            // webRの読み込みをキャッシュできるよう、WebRの初期化より先に行う
+            await this.setupOfflineCache();
+            
+            // 指定されたスクリプトを開く
+            await this.uiController.openLaunchScript(launch);
             
             // 初期化状態の表示
-            this.uiController.updateStatus('WebRを初期化しています...', 'info');
+            this.uiController.updateStatus(t('status.initializing'), 'info');
             
             // WebRの初期化
             await this.initializeWebR();
             
+            // ランタイムが保存されたキャッシュの状態を表示
+            this.offlineCache.refresh();
+            
+            // 自動実行が設定されていれば開いたスクリプトを実行
+            // 共有リンクの指定は誰でも付けられるため、設定がなければ実行してよいか確認する
+            if (this.config.enableAutoRun ||
+                (launch.shared?.autorun && window.confirm(t('share.autorunConfirm')))) {
+                await this.uiController.runCode();
+            }
+            
             // グローバルアクセス用の設定
             this.setupGlobalAccess();
             
@@ -73,6 +137,44 @@ class WebRPlaygroundApp {
         }
     }
 
+    /**
+     * 設定されたマニフェストからサンプル集を読み込む
+     * @private
+     * @async
+     */
+    async loadExamples() {
+        try {
+            const loaded = await loadExamples(this.config.examplesUrl);
+            console.log(`サンプルを${loaded.length}件読み込みました`);
+        } catch (error) {
+            console.error('サンプル集の読み込みエラー:', error);
+        }
+    }
+
+    /**
+     * 起動時のURLから共有リンク・サンプル指定を読み取る
+     * 再読み込みで同じスクリプトが重複して開かれないよう、読み取った後はURLから取り除く
+     * @private
+     * @async
+     * @returns {Promise<{shared: import('./permalink.js').ShareState|null, exampleId: string|null}>}
+     */
+    async readLaunchParams() {
+        const location = window.location;
+        if (!location.hash && !location.search) {
+            return { shared: null, exampleId: null };
+        }
+        
+        try {
+            return await readLaunchParams(location);
+        } catch (error) {
+            console.error('共有リンクの読み取りエラー:', error);
+            this.uiController.showError(error.message);
+            return { shared: null, exampleId: null };
+        } finally {
+            window.history.replaceState(null, '', location.pathname);
+        }
+    }
+
     /**
      * WebRの初期化
      * @private
@@ -82,16 +184,16 @@ class WebRPlaygroundApp {
         try {
             // プログレス表示
             const progressMessages = [
-                'WebAssemblyを読み込んでいます...',
-                'R環境を構築しています...',
-                'パッケージを準備しています...',
-                'もうすぐ完了します...'
+                'status.loadingWasm',
+                'status.preparingR',
+                'status.preparingPackages',
+                'status.almostDone'
             ];
             
             let messageIndex = 0;
             const progressInterval = setInterval(() => {
                 if (messageIndex < progressMessages.length) {
-                    this.uiController.updateStatus(progressMessages[messageIndex], 'info');
+                    this.uiController.updateStatus(t(progressMessages[messageIndex]), 'info');
                     messageIndex++;
                 }
             }, 1000);
@@ -108,7 +210,7 @@ class WebRPlaygroundApp {
             this.logPerformance();
             
         } catch (error) {
-            throw new Error(`WebRの初期化に失敗しました: ${error.message}`);
+            throw new Error(t('errors.initFailed', { message: error.message }));
         }
     }
 
@@ -118,7 +220,7 @@ class WebRPlaygroundApp {
      * @param {Error} error - エラー
      */
     handleInitializationError(error) {
-        const errorMessage = `初期化エラー: ${error.message}`;
+        const errorMessage = t('errors.initError', { message: error.message });
         
         this.uiController.updateStatus(errorMessage, 'error');
         this.uiController.showError(errorMessage);
@@ -136,11 +238,17 @@ class WebRPlaygroundApp {
      */
     setupGlobalAccess() {
         // デバッグ用にグローバルオブジェクトを作成
+        const service = this.webRService;
         window.webRPlayground = {
             app: this.uiController,
             service: this.webRService,
             config: this.config,
             
+            /** 読み込んだwebRとRのバージョン、ランタイムのURL */
+            get versions() {
+                return { ...service.versions, runtimeUrl: service.runtimeUrl };
+            },
+            
             // ユーティリティ関数
             utils: {
                 /**
@@ -149,7 +257,33 @@ class WebRPlaygroundApp {
                  * @returns {Promise<WebRPlayground.ExecutionResult>}
                  */
                 runCode: async (code) => {
-                    return await this.webRService.executeCode(code);
+                    const result = await this.webRService.executeCode(code);
+                    this.uiController.environmentPanel.refresh();
+                    return result;
+                },
+                
+                /**
+                 * データをRの変数としてロード
+                 * @param {string} varName - 変数名
+                 * @param {any} data - データ（行オブジェクトの配列、列ごとのオブジェクト、CSV文字列、型付き配列）
+                 * @param {Object} [options] - 変換オプション
+                 * @returns {Promise<boolean>}
+                 */
+                loadData: async (varName, data, options) => {
+                    const loaded = await this.webRService.loadData(varName, data, options);
+                    this.uiController.environmentPanel.refresh();
+                    return loaded;
+                },
+                
+                /**
+                 * パッケージをインストールして読み込む
+                 * @param {string} packageName - パッケージ名
+                 * @returns {Promise<boolean>}
+                 */
+                installPackage: async (packageName) => {
+                    const installed = await this.webRService.installPackage(packageName, { load: true });
+                    this.uiController.packagePanel.refresh();
+                    return installed;
                 },
                 
                 /**
@@ -162,12 +296,19 @@ class WebRPlaygroundApp {
                 },
                 
                 /**
-                 * プロットを画像として保存
+                 * 表示中のプロットを画像として保存
                  */
                 savePlot: () => {
                     this.savePlotAsImage();
                 },
                 
+                /**
+                 * 直前の実行のすべてのプロットを画像として保存
+                 */
+                saveAllPlots: () => {
+                    this.savePlotAsImage(true);
+                },
+                
                 /**
                  * コードをファイルとして保存
                  */
@@ -187,7 +328,7 @@ class WebRPlaygroundApp {
             // 実行中のタスクがある場合は警告
             if (this.uiController && this.uiController.isRunning) {
                 event.preventDefault();
-                event.returnValue = 'コードの実行中です。ページを離れますか？';
+                event.returnValue = t('app.leaveWhileRunning');
                 return event.returnValue;
             }
             
@@ -196,34 +337,133 @@ class WebRPlaygroundApp {
         });
     }
 
+    /**
+     * index.html の <meta> で指定された設定の取得
+     * webRランタイムの配置場所・バージョン、サンプル集のマニフェストと起動時の自動実行を上書きでき、
+     * 指定がなければ既定値を使う（空のwebr-versionはベースURLにランタイムを直接置いた場合）
+     * @private
+     * @returns {{webRBaseUrl?: string, webRVersion?: string, examplesUrl?: string, enableAutoRun?: boolean}}
+     */
+    getMetaConfig() {
+        const metaConfig = {};
+        
+        Object.entries(META_CONFIG).forEach(([name, key]) => {
+            const content = document.querySelector(`meta[name="${name}"]`)?.getAttribute('content');
+            if (content !== null && content !== undefined) {
+                metaConfig[key] = BOOLEAN_CONFIG.includes(key) ? content.trim() === 'true' : content.trim();
+            }
+        });
+        
+        return metaConfig;
+    }
+
     /**
      * 優先テーマの取得
+     * 保存された選択を優先し、なければシステムの設定に従う
      * @private
-     * @returns {'light'|'dark'}
+     * @returns {'light'|'dark'|'system'}
      */
     getPreferredTheme() {
-        // システムのダークモード設定を確認
-        if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
-            return 'dark';
+        const savedTheme = localStorage.getItem(THEME_STORAGE_KEY);
+        if (savedTheme === 'dark' || savedTheme === 'light' || savedTheme === 'system') {
+            return savedTheme;
         }
         
-        // ローカルストレージの設定を確認
-        const savedTheme = localStorage.getItem('webr-playground-theme');
-        if (savedTheme === 'dark' || savedTheme === 'light') {
-            return savedTheme;
+        return 'system';
+    }
+
+    /**
+     * 実際に表示するテーマの決定
+     * @private
+     * @param {'light'|'dark'|'system'} theme - テーマの設定
+     * @returns {'light'|'dark'}
+     */
+    resolveTheme(theme) {
+        if (theme !== 'system') {
+            return theme;
         }
         
-        return 'light';
+        // システムのダークモード設定を確認
+        return window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
     }
 
     /**
      * テーマの切り替え
-     * @param {'light'|'dark'} theme - テーマ
+     * @param {'light'|'dark'|'system'} theme - テーマ
      */
     setTheme(theme) {
         this.config.theme = theme;
-        document.body.setAttribute('data-theme', theme);
-        localStorage.setItem('webr-playground-theme', theme);
+        localStorage.setItem(THEME_STORAGE_KEY, theme);
+        this.applyTheme();
+    }
+
+    /**
+     * プロットをテーマに合わせるかの切り替え
+     * @param {boolean} enabled - ダークテーマでプロットも暗い背景で描画するか
+     */
+    setDarkPlots(enabled) {
+        this.config.darkPlots = enabled;
+        localStorage.setItem(DARK_PLOTS_STORAGE_KEY, String(enabled));
+        this.applyTheme();
+    }
+
+    /**
+     * テーマを画面とプロットに反映
+     * CSSは data-theme 属性で配色を切り替える
+     * @private
+     */
+    applyTheme() {
+        const theme = this.resolveTheme(this.config.theme);
+        document.documentElement.setAttribute('data-theme', theme);
+        
+        if (this.webRService) {
+            this.webRService.setPlotTheme(this.config.darkPlots ? theme : 'light');
+        }
+    }
+
+    /**
+     * テーマの切り替えの設定
+     * @private
+     */
+    setupThemeControls() {
+        const { themeSelect, darkPlotsToggle } = this.uiController.elements;
+        
+        themeSelect.value = this.config.theme;
+        themeSelect.addEventListener('change', () => this.setTheme(themeSelect.value));
+        
+        darkPlotsToggle.checked = this.config.darkPlots;
+        darkPlotsToggle.addEventListener('change', () => this.setDarkPlots(darkPlotsToggle.checked));
+        
+        // システムの設定に従う場合は、OSのダークモードの切り替えに追従する
+        if (window.matchMedia) {
+            window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', () => {
+                if (this.config.theme === 'system') {
+                    this.applyTheme();
+                }
+            });
+        }
+        
+        this.applyTheme();
+    }
+
+    /**
+     * オフラインキャッシュの設定
+     * @private
+     * @async
+     */
+    async setupOfflineCache() {
+        const { cacheStatus, updateRuntimeBtn } = this.uiController.elements;
+        
+        this.offlineCache = new OfflineCache({
+            status: cacheStatus,
+            updateBtn: updateRuntimeBtn
+        });
+        onLocaleChange(() => this.offlineCache.renderStatus());
+        
+        await this.offlineCache.register([
+            this.webRService.runtimeUrl,
+            this.webRService.config.packageRepoUrl
+        ]);
     }
 
     /**
@@ -271,24 +511,18 @@ class WebRPlaygroundApp {
     /**
      * プロットを画像として保存
      * @private
+     * @param {boolean} [all=false] - すべてのプロットを保存するか
      */
-    savePlotAsImage() {
-        const canvas = this.uiController.elements.plotCanvas;
-        if (!canvas || canvas.width === 0) {
-            this.uiController.showWarning('保存するプロットがありません');
+    async savePlotAsImage(all = false) {
+        const gallery = this.uiController.plotGallery;
+        const saved = all ? await gallery.downloadAll() : await gallery.downloadCurrent();
+        
+        if (!saved) {
+            this.uiController.showWarning(t('plots.nothingToSave'));
             return;
         }
         
-        canvas.toBlob((blob) => {
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = `plot_${new Date().getTime()}.png`;
-            a.click();
-            URL.revokeObjectURL(url);
-            
-            this.uiController.showInfo('プロットを保存しました');
-        });
+        this.uiController.showInfo(t('plots.saved'));
     }
 
     /**
@@ -298,7 +532,7 @@ class WebRPlaygroundApp {
     saveCodeAsFile() {
         const code = this.uiController.elements.codeInput.value;
         if (!code) {
-            this.uiController.showWarning('保存するコードがありません');
+            this.uiController.showWarning(t('editor.nothingToSave'));
             return;
         }
         
@@ -310,7 +544,7 @@ class WebRPlaygroundApp {
         a.click();
         URL.revokeObjectURL(url);
         
-        this.uiController.showInfo('コードを保存しました');
+        this.uiController.showInfo(t('editor.saved'));
     }
 
     /**
@@ -359,11 +593,11 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (container) {
             container.innerHTML = `
                 <div style="padding: 20px; text-align: center; color: #e74c3c;">
-                    <h2>⚠️ エラー</h2>
-                    <p>WebR実験場の起動に失敗しました。</p>
-                    <p>ブラウザを更新してもう一度お試しください。</p>
+                    <h2>⚠️ ${t('app.errorTitle')}</h2>
+                    <p>${t('app.startFailed')}</p>
+                    <p>${t('app.reloadHint')}</p>
                     <p style="font-size: 0.9em; color: #666; margin-top: 20px;">
-                        エラー: ${error.message}
+                        ${t('common.errorPrefix', { message: error.message })}
                     </p>
                     <button onclick="location.reload()" style="
                         margin-top: 20px;
@@ -374,7 +608,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                         border-radius: 4px;
                         cursor: pointer;
                     ">
-                        ページを更新
+                        ${t('app.reload')}
                     </button>
                 </div>
             `;
@@ -382,14 +616,5 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
 });
 
-// サービスワーカーの登録（オフライン対応）
-if ('serviceWorker' in navigator) {
-    window.addEventListener('load', () => {
-        navigator.serviceWorker.register('/sw.js').catch(error => {
-            console.log('サービスワーカーの登録はスキップされました:', error.message);
-        });
-    });
-}
-
 // エクスポート（必要に応じて）
 export { WebRPlaygroundApp };
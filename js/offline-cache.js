@@ -0,0 +1,187 @@
+/**
+ * オフラインキャッシュ - サービスワーカーの登録とキャッシュの状態表示・ランタイムの更新
+ * @module offline-cache
+ */
+
+import { t } from './i18n.js';
+
+/** サービスワーカーのスクリプト（ページからの相対パス） */
+const SERVICE_WORKER_URL = './sw.js';
+
+/** サービスワーカーがページを制御するまで待つ時間（ミリ秒） */
+const CONTROLLER_TIMEOUT = 3000;
+
+/** サービスワーカーからの応答を待つ時間（ミリ秒） */
+const MESSAGE_TIMEOUT = 10000;
+
+/**
+ * バイト数を読みやすい単位に変換
+ * @param {number} bytes - バイト数
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024 * 1024) {
+        return `${Math.ceil(bytes / 1024)} KB`;
+    }
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * オフラインキャッシュクラス
+ */
+export class OfflineCache {
+    /**
+     * @param {Object} elements - 表示に使う要素
+     * @param {HTMLElement} elements.status - キャッシュの状態の表示先
+     * @param {HTMLButtonElement} elements.updateBtn - ランタイムの更新ボタン
+     */
+    constructor(elements) {
+        /** @type {Object.<string, HTMLElement>} */
+        this.elements = elements;
+
+        /** @type {boolean} サービスワーカーを使える環境か */
+        this.supported = 'serviceWorker' in navigator;
+
+        /** @type {{shell: {files: number, bytes: number}, runtime: {files: number, bytes: number}}|null} */
+        this.status = null;
+    }
+
+    /**
+     * サービスワーカーの登録
+     * 初回の訪問でもwebRの読み込みをキャッシュできるよう、ページが制御されるまで少し待つ
+     * @param {Array<string>} [runtimeUrls=[]] - ランタイムのキャッシュに入れるURL（webRランタイム・パッケージリポジトリ）
+     * @returns {Promise<boolean>} ページがサービスワーカーに制御されているか
+     */
+    async register(runtimeUrls = []) {
+        this.elements.updateBtn.addEventListener('click', () => this.updateRuntime());
+        window.addEventListener('online', () => this.renderStatus());
+        window.addEventListener('offline', () => this.renderStatus());
+
+        if (!this.supported) {
+            this.renderStatus();
+            return false;
+        }
+
+        try {
+            // 設定されたランタイムの場所はスクリプトのURLのクエリで渡す（変われば更新として扱われる）
+            const params = new URLSearchParams(runtimeUrls.map(url => ['runtime', url]));
+            await navigator.serviceWorker.register(`${SERVICE_WORKER_URL}?${params}`);
+        } catch (error) {
+            console.log('サービスワーカーの登録はスキップされました:', error.message);
+            this.supported = false;
+            this.renderStatus();
+            return false;
+        }
+
+        if (!navigator.serviceWorker.controller) {
+            await new Promise(resolve => {
+                const timer = setTimeout(resolve, CONTROLLER_TIMEOUT);
+                navigator.serviceWorker.addEventListener('controllerchange', () => {
+                    clearTimeout(timer);
+                    resolve();
+                }, { once: true });
+            });
+        }
+
+        await this.refresh();
+        return Boolean(navigator.serviceWorker.controller);
+    }
+
+    /**
+     * サービスワーカーへのメッセージの送信
+     * @private
+     * @param {string} type - メッセージの種類
+     * @returns {Promise<any>} 応答の内容
+     * @throws {Error} サービスワーカーが応答しない・失敗した場合
+     */
+    async send(type) {
+        const controller = navigator.serviceWorker?.controller;
+        if (!controller) {
+            throw new Error(t('offline.notControlled'));
+        }
+
+        const channel = new MessageChannel();
+        return await new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(t('offline.noResponse'))), MESSAGE_TIMEOUT);
+            channel.port1.onmessage = (event) => {
+                clearTimeout(timer);
+                if (event.data.ok) {
+                    resolve(event.data.result);
+                } else {
+                    reject(new Error(event.data.error));
+                }
+            };
+            controller.postMessage({ type }, [channel.port2]);
+        });
+    }
+
+    /**
+     * キャッシュの状態を取得して表示
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        if (this.supported && navigator.serviceWorker.controller) {
+            try {
+                this.status = await this.send('cache-status');
+            } catch (error) {
+                console.warn('キャッシュの状態の取得に失敗しました:', error);
+            }
+        }
+        this.renderStatus();
+    }
+
+    /**
+     * キャッシュの状態の描画
+     */
+    renderStatus() {
+        const { status: element, updateBtn } = this.elements;
+        const runtime = this.status?.runtime;
+
+        let text;
+        if (!this.supported) {
+            text = t('offline.unsupported');
+        } else if (runtime && runtime.files > 0) {
+            text = t('offline.cached', { size: formatBytes(runtime.bytes) });
+        } else {
+            text = t('offline.notCached');
+        }
+
+        if (!navigator.onLine) {
+            text = `${t('offline.offline')} · ${text}`;
+        }
+
+        element.textContent = text;
+        element.classList.toggle('cached', Boolean(runtime && runtime.files > 0));
+        updateBtn.hidden = !this.supported;
+        updateBtn.disabled = !navigator.onLine;
+    }
+
+    /**
+     * webRランタイムの更新
+     * ランタイムのキャッシュを削除して再読み込みし、最新のランタイムを取得し直す
+     * @returns {Promise<void>}
+     */
+    async updateRuntime() {
+        if (!navigator.onLine) {
+            window.alert(t('offline.updateNeedsNetwork'));
+            return;
+        }
+
+        if (!window.confirm(t('offline.updateConfirm'))) {
+            return;
+        }
+
+        try {
+            await this.send('update-runtime');
+        } catch (error) {
+            console.error('ランタイムのキャッシュの削除エラー:', error);
+            window.alert(t('offline.updateFailed', { message: error.message }));
+            return;
+        }
+
+        window.location.reload();
+    }
+}
+
+// デフォルトエクスポート
+export default OfflineCache;
@@ -0,0 +1,270 @@
+/**
+ * パッケージパネル - パッケージの検索・インストール・読み込み
+ * @module package-panel
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * パッケージパネルクラス
+ */
+export class PackagePanel {
+    /**
+     * @param {Object} elements - パネルを構成する要素
+     * @param {HTMLInputElement} elements.searchInput - 検索入力
+     * @param {HTMLButtonElement} elements.searchBtn - 検索ボタン
+     * @param {HTMLElement} elements.results - 検索結果の表示先
+     * @param {HTMLElement} elements.installed - インストール済み一覧の表示先
+     * @param {HTMLElement} elements.progress - 進捗の表示先
+     * @param {HTMLElement} elements.repoUrl - リポジトリURLの表示先
+     */
+    constructor(elements) {
+        /** @type {Object.<string, HTMLElement>} */
+        this.elements = elements;
+
+        /** @type {WebRPlayground.IWebRService|null} */
+        this.webRService = null;
+
+        /** @type {function(): boolean|null} コードの実行中かどうか */
+        this.isBusy = null;
+
+        /** @type {boolean} */
+        this.working = false;
+    }
+
+    /**
+     * パネルの初期化
+     * @param {WebRPlayground.IWebRService} webRService - WebRサービス
+     * @param {Object} handlers - イベントハンドラ
+     * @param {function(): boolean} handlers.isBusy - コードの実行中かどうか
+     */
+    initialize(webRService, { isBusy }) {
+        this.webRService = webRService;
+        this.isBusy = isBusy;
+
+        this.elements.repoUrl.textContent = webRService.config.packageRepoUrl;
+
+        this.elements.searchBtn.addEventListener('click', () => this.search());
+        this.elements.searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.search();
+            }
+        });
+    }
+
+    /**
+     * インストール済み一覧を再取得して表示
+     * @returns {Promise<void>}
+     */
+    async refresh() {
+        if (!this.webRService || !this.webRService.isReady()) {
+            return;
+        }
+
+        try {
+            const packages = await this.webRService.listPackages();
+            this.renderList(this.elements.installed, packages, (pkg) => {
+                if (pkg.loaded) {
+                    return this.createBadge(t('packages.loaded'));
+                }
+                return this.createActionButton(t('packages.load'), t('packages.loadTitle', { name: pkg.name }), () => this.load(pkg.name));
+            });
+        } catch (error) {
+            console.error('パッケージ一覧の取得エラー:', error);
+            this.renderMessage(this.elements.installed, t('packages.listFailed', { message: error.message }));
+        }
+    }
+
+    /**
+     * リポジトリのパッケージを検索
+     * @returns {Promise<void>}
+     */
+    async search() {
+        const query = this.elements.searchInput.value.trim();
+        if (!query || !this.webRService || !this.webRService.isReady()) {
+            return;
+        }
+
+        this.renderMessage(this.elements.results, t('packages.searching'));
+
+        try {
+            const packages = await this.webRService.searchPackages(query);
+
+            if (packages.length === 0) {
+                this.renderMessage(this.elements.results, t('packages.noMatches', { query }));
+                return;
+            }
+
+            // 一致が多すぎる場合は先頭のみ表示
+            this.renderList(this.elements.results, packages.slice(0, 50), (pkg) => {
+                return this.createActionButton(t('packages.install'), t('packages.installTitle', { name: pkg.name }), () => this.install(pkg.name));
+            });
+        } catch (error) {
+            console.error('パッケージ検索エラー:', error);
+            this.renderMessage(this.elements.results, t('packages.searchFailed', { message: error.message }));
+        }
+    }
+
+    /**
+     * パッケージのインストール
+     * @param {string} name - パッケージ名
+     * @returns {Promise<void>}
+     */
+    async install(name) {
+        if (!this.startWork()) {
+            return;
+        }
+
+        this.elements.progress.textContent = '';
+        this.appendProgress(t('packages.installing', { name }));
+
+        try {
+            const installed = await this.webRService.installPackage(name, {
+                load: true,
+                onProgress: (entry) => this.appendProgress(entry.type === 'error' ? t('common.errorPrefix', { message: entry.text }) : entry.text)
+            });
+
+            this.appendProgress(installed
+                ? t('packages.installed', { name })
+                : t('packages.installFailed', { name }));
+        } finally {
+            this.working = false;
+            await this.refresh();
+        }
+    }
+
+    /**
+     * パッケージの読み込み
+     * @param {string} name - パッケージ名
+     * @returns {Promise<void>}
+     */
+    async load(name) {
+        if (!this.startWork()) {
+            return;
+        }
+
+        try {
+            const result = await this.webRService.loadPackage(name);
+            this.appendProgress(result.success
+                ? t('packages.loadDone', { name })
+                : t('packages.loadFailed', { name, message: result.error }));
+        } finally {
+            this.working = false;
+            await this.refresh();
+        }
+    }
+
+    /**
+     * 操作を開始できるか確認
+     * @private
+     * @returns {boolean}
+     */
+    startWork() {
+        if (this.working || this.isBusy()) {
+            this.appendProgress(t('packages.busy'));
+            return false;
+        }
+
+        this.working = true;
+        return true;
+    }
+
+    /**
+     * 進捗の追記
+     * @private
+     * @param {string} text - テキスト
+     */
+    appendProgress(text) {
+        this.elements.progress.hidden = false;
+        this.elements.progress.appendChild(document.createTextNode(text + '\n'));
+        this.elements.progress.scrollTop = this.elements.progress.scrollHeight;
+    }
+
+    /**
+     * パッケージ一覧の描画
+     * @private
+     * @param {HTMLElement} container - 表示先
+     * @param {Array<WebRPlayground.PackageInfo>} packages - パッケージ一覧
+     * @param {function(WebRPlayground.PackageInfo): HTMLElement} createAction - 操作要素の作成
+     */
+    renderList(container, packages, createAction) {
+        const list = document.createElement('ul');
+        list.className = 'package-list';
+
+        packages.forEach(pkg => {
+            const item = document.createElement('li');
+            item.className = 'package-item';
+
+            const info = document.createElement('div');
+            info.className = 'package-info';
+
+            const name = document.createElement('span');
+            name.className = 'package-name';
+            name.textContent = `${pkg.name} ${pkg.version}`;
+            info.appendChild(name);
+
+            if (pkg.title || pkg.depends) {
+                const detail = document.createElement('span');
+                detail.className = 'package-detail';
+                detail.textContent = pkg.title || t('packages.depends', { depends: pkg.depends });
+                info.appendChild(detail);
+            }
+
+            item.appendChild(info);
+            item.appendChild(createAction(pkg));
+            list.appendChild(item);
+        });
+
+        container.innerHTML = '';
+        container.appendChild(list);
+    }
+
+    /**
+     * 操作ボタンの作成
+     * @private
+     * @param {string} label - ラベル
+     * @param {string} title - 説明
+     * @param {Function} action - クリック時の処理
+     * @returns {HTMLButtonElement}
+     */
+    createActionButton(label, title, action) {
+        const button = document.createElement('button');
+        button.className = 'btn btn-small btn-secondary';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', action);
+        return button;
+    }
+
+    /**
+     * 状態表示の作成
+     * @private
+     * @param {string} label - ラベル
+     * @returns {HTMLSpanElement}
+     */
+    createBadge(label) {
+        const badge = document.createElement('span');
+        badge.className = 'package-badge';
+        badge.textContent = label;
+        return badge;
+    }
+
+    /**
+     * メッセージの描画
+     * @private
+     * @param {HTMLElement} container - 表示先
+     * @param {string} message - メッセージ
+     */
+    renderMessage(container, message) {
+        container.innerHTML = '';
+
+        const p = document.createElement('p');
+        p.className = 'package-empty';
+        p.textContent = message;
+        container.appendChild(p);
+    }
+}
+
+// デフォルトエクスポート
+export default PackagePanel;
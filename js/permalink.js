@@ -0,0 +1,152 @@
+/**
+ * 共有リンク - スクリプトと実行オプションをURLのフラグメントに圧縮して埋め込む
+ * @module permalink
+ */
+
+import { t } from './i18n.js';
+
+/** 圧縮したデータのフラグメントのキー */
+const COMPRESSED_KEY = 'z';
+
+/** 圧縮しないデータのフラグメントのキー（CompressionStreamがない環境用） */
+const PLAIN_KEY = 's';
+
+/** 共有データの形式のバージョン */
+const FORMAT_VERSION = 1;
+
+/** 共有リンクで指定できるプロットの幅・高さの上限（ピクセル、巨大な描画領域でメモリを使い切らないため） */
+const MAX_PLOT_SIZE = 4000;
+
+/**
+ * 共有する状態
+ * @typedef {Object} ShareState
+ * @property {string} code - Rコード
+ * @property {number} [plotWidth] - プロットの幅
+ * @property {number} [plotHeight] - プロットの高さ
+ * @property {boolean} [autorun] - 開いたときに実行するか
+ */
+
+/**
+ * バイト列をURLで使えるBase64に変換
+ * @param {Uint8Array} bytes - バイト列
+ * @returns {string}
+ */
+function toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * URLで使えるBase64をバイト列に変換
+ * @param {string} text - Base64文字列
+ * @returns {Uint8Array}
+ */
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * ストリームで変換したバイト列を取得
+ * @param {Uint8Array} bytes - 入力
+ * @param {TransformStream} transform - 変換（圧縮・展開）
+ * @returns {Promise<Uint8Array>}
+ */
+async function transformBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * 共有する状態をフラグメントの文字列に変換
+ * @param {ShareState} state - 共有する状態
+ * @returns {Promise<string>} 先頭の「#」を含まないフラグメント
+ */
+export async function encodeShareState(state) {
+    const payload = { v: FORMAT_VERSION, code: state.code };
+    if (state.plotWidth && state.plotHeight) {
+        payload.plot = [state.plotWidth, state.plotHeight];
+    }
+    if (state.autorun) {
+        payload.autorun = true;
+    }
+
+    const bytes = new TextEncoder().encode(JSON.stringify(payload));
+
+    if (typeof CompressionStream === 'undefined') {
+        return `${PLAIN_KEY}=${toBase64Url(bytes)}`;
+    }
+
+    const compressed = await transformBytes(bytes, new CompressionStream('deflate-raw'));
+    return `${COMPRESSED_KEY}=${toBase64Url(compressed)}`;
+}
+
+/**
+ * フラグメントの文字列から共有された状態を取り出す
+ * @param {string} fragment - フラグメント（先頭の「#」はあってもよい）
+ * @returns {Promise<ShareState|null>} 共有データを含まない場合はnull
+ * @throws {Error} 共有データが壊れている場合
+ */
+export async function decodeShareState(fragment) {
+    const params = new URLSearchParams(fragment.replace(/^#/, ''));
+    const compressed = params.get(COMPRESSED_KEY);
+    const plain = params.get(PLAIN_KEY);
+
+    if (compressed === null && plain === null) {
+        return null;
+    }
+
+    let payload;
+    try {
+        let bytes = fromBase64Url(compressed ?? plain);
+        if (compressed !== null) {
+            if (typeof DecompressionStream === 'undefined') {
+                throw new Error(t('share.compressionUnsupported'));
+            }
+            bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+        }
+        payload = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+        throw new Error(t('share.decodeFailed', { message: error.message }));
+    }
+
+    if (!payload || typeof payload.code !== 'string') {
+        throw new Error(t('share.noCode'));
+    }
+
+    const state = { code: payload.code, autorun: payload.autorun === true };
+    if (Array.isArray(payload.plot) && payload.plot.length === 2 &&
+        payload.plot.every(size => Number.isInteger(size) && size > 0)) {
+        [state.plotWidth, state.plotHeight] = payload.plot.map(size => Math.min(size, MAX_PLOT_SIZE));
+    }
+    return state;
+}
+
+/**
+ * 共有リンクのURLを作成
+ * @param {ShareState} state - 共有する状態
+ * @param {string} baseUrl - 基準となるURL（現在のページ）
+ * @returns {Promise<string>}
+ */
+export async function createShareUrl(state, baseUrl) {
+    const url = new URL(baseUrl);
+    url.search = '';
+    url.hash = await encodeShareState(state);
+    return url.toString();
+}
+
+/**
+ * 起動時のURLから開くべきスクリプトを読み取る
+ * @param {Location|URL} location - ページのURL
+ * @returns {Promise<{shared: ShareState|null, exampleId: string|null}>}
+ */
+export async function readLaunchParams(location) {
+    return {
+        shared: await decodeShareState(location.hash),
+        exampleId: new URLSearchParams(location.search).get('example')
+    };
+}
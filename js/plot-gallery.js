@@ -0,0 +1,215 @@
+/**
+ * プロットギャラリー - 1回の実行で生成された複数のプロットの表示と保存
+ * @module plot-gallery
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * プロットギャラリークラス
+ */
+export class PlotGallery {
+    /**
+     * @param {Object} elements - ギャラリーを構成する要素
+     * @param {HTMLElement} elements.area - ギャラリー全体
+     * @param {HTMLCanvasElement} elements.canvas - 拡大表示用キャンバス
+     * @param {HTMLElement} elements.thumbnails - サムネイル一覧
+     * @param {HTMLElement} elements.counter - 表示中の番号
+     * @param {HTMLButtonElement} elements.prevBtn - 前へボタン
+     * @param {HTMLButtonElement} elements.nextBtn - 次へボタン
+     * @param {HTMLButtonElement} elements.downloadBtn - 保存ボタン
+     * @param {HTMLButtonElement} elements.downloadAllBtn - すべて保存ボタン
+     */
+    constructor(elements) {
+        /** @type {Object.<string, HTMLElement>} */
+        this.elements = elements;
+
+        /** @type {Array<ImageBitmap>} */
+        this.images = [];
+
+        /** @type {number} */
+        this.currentIndex = 0;
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * イベントリスナーの設定
+     * @private
+     */
+    setupEventListeners() {
+        this.elements.prevBtn.addEventListener('click', () => this.select(this.currentIndex - 1));
+        this.elements.nextBtn.addEventListener('click', () => this.select(this.currentIndex + 1));
+        this.elements.downloadBtn.addEventListener('click', () => this.downloadCurrent());
+        this.elements.downloadAllBtn.addEventListener('click', () => this.downloadAll());
+
+        // ギャラリーにフォーカスがある間は左右キーで移動
+        this.elements.area.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowLeft') {
+                this.select(this.currentIndex - 1);
+            } else if (e.key === 'ArrowRight') {
+                this.select(this.currentIndex + 1);
+            }
+        });
+    }
+
+    /**
+     * プロットの一覧を表示
+     * @param {Array<ImageBitmap>} images - プロット画像
+     */
+    show(images) {
+        this.images = images.slice();
+
+        if (this.images.length === 0) {
+            this.hide();
+            return;
+        }
+
+        this.renderThumbnails();
+        this.select(this.images.length - 1);
+
+        this.elements.area.style.display = 'block';
+        this.elements.area.classList.add('fade-in');
+    }
+
+    /**
+     * ギャラリーを非表示にする
+     */
+    hide() {
+        this.images = [];
+        this.currentIndex = 0;
+        this.elements.thumbnails.innerHTML = '';
+        this.elements.area.style.display = 'none';
+    }
+
+    /**
+     * プロットがあるか確認
+     * @returns {boolean}
+     */
+    hasPlots() {
+        return this.images.length > 0;
+    }
+
+    /**
+     * 指定したプロットを拡大表示
+     * @param {number} index - プロットの番号（0始まり）
+     */
+    select(index) {
+        if (index < 0 || index >= this.images.length) {
+            return;
+        }
+
+        this.currentIndex = index;
+
+        const image = this.images[index];
+        const canvas = this.elements.canvas;
+        canvas.width = image.width;
+        canvas.height = image.height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, image.width, image.height);
+        ctx.drawImage(image, 0, 0);
+
+        // ナビゲーションの更新
+        const multiple = this.images.length > 1;
+        this.elements.counter.textContent = `${index + 1} / ${this.images.length}`;
+        this.elements.prevBtn.disabled = index === 0;
+        this.elements.nextBtn.disabled = index === this.images.length - 1;
+        this.elements.thumbnails.hidden = !multiple;
+        this.elements.downloadAllBtn.hidden = !multiple;
+
+        Array.from(this.elements.thumbnails.children).forEach((thumbnail, i) => {
+            thumbnail.classList.toggle('active', i === index);
+            thumbnail.setAttribute('aria-current', i === index ? 'true' : 'false');
+        });
+    }
+
+    /**
+     * サムネイルの描画
+     * @private
+     */
+    renderThumbnails() {
+        this.elements.thumbnails.innerHTML = '';
+
+        this.images.forEach((image, i) => {
+            const button = document.createElement('button');
+            button.className = 'plot-thumbnail';
+            button.title = t('plots.thumbnail', { n: i + 1 });
+            button.setAttribute('aria-label', t('plots.showThumbnail', { n: i + 1 }));
+            button.addEventListener('click', () => this.select(i));
+
+            const canvas = document.createElement('canvas');
+            canvas.width = image.width;
+            canvas.height = image.height;
+            canvas.getContext('2d').drawImage(image, 0, 0);
+
+            button.appendChild(canvas);
+            this.elements.thumbnails.appendChild(button);
+        });
+    }
+
+    /**
+     * 表示中のプロットを保存
+     * @returns {Promise<boolean>} 保存できたかどうか
+     */
+    async downloadCurrent() {
+        if (!this.hasPlots()) {
+            return false;
+        }
+
+        await this.downloadImage(this.images[this.currentIndex], this.createFileName(this.currentIndex));
+        return true;
+    }
+
+    /**
+     * すべてのプロットを保存
+     * @returns {Promise<boolean>} 保存できたかどうか
+     */
+    async downloadAll() {
+        if (!this.hasPlots()) {
+            return false;
+        }
+
+        for (let i = 0; i < this.images.length; i++) {
+            await this.downloadImage(this.images[i], this.createFileName(i));
+        }
+        return true;
+    }
+
+    /**
+     * 保存するファイル名の作成
+     * @private
+     * @param {number} index - プロットの番号
+     * @returns {string}
+     */
+    createFileName(index) {
+        const suffix = this.images.length > 1 ? `_${index + 1}` : '';
+        return `plot_${new Date().getTime()}${suffix}.png`;
+    }
+
+    /**
+     * 画像をPNGとしてダウンロード
+     * @private
+     * @param {ImageBitmap} image - 画像
+     * @param {string} fileName - ファイル名
+     * @returns {Promise<void>}
+     */
+    async downloadImage(image, fileName) {
+        const canvas = document.createElement('canvas');
+        canvas.width = image.width;
+        canvas.height = image.height;
+        canvas.getContext('2d').drawImage(image, 0, 0);
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+}
+
+// デフォルトエクスポート
+export default PlotGallery;
@@ -0,0 +1,189 @@
+/**
+ * JavaScriptのデータをRのベクトル・データフレームへ変換するための前処理
+ * @module r-data
+ */
+
+import { t } from './i18n.js';
+
+/**
+ * 列の型
+ * @typedef {'double'|'integer'|'logical'|'character'|'datetime'|'raw'} RColumnType
+ */
+
+/**
+ * 変換前の列
+ * @typedef {Object} RColumn
+ * @property {RColumnType} type - Rでの型
+ * @property {Array<number|string|boolean|null>} values - 値（欠損値はnull）
+ */
+
+/** Rの整数の欠損値（NA_integer_）と同じビット表現の値 */
+const INTEGER_NA = -2147483648;
+
+/**
+ * 欠損値として扱う値か判定
+ * @param {any} value - 値
+ * @returns {boolean}
+ */
+function isMissing(value) {
+    return value === null || value === undefined || (typeof value === 'number' && Number.isNaN(value));
+}
+
+/**
+ * 型付き配列を変換
+ * @param {ArrayBufferView} array - 型付き配列
+ * @returns {RColumn}
+ */
+function fromTypedArray(array) {
+    if (array instanceof Uint8Array || array instanceof Uint8ClampedArray) {
+        return { type: 'raw', values: Array.from(array) };
+    }
+
+    if (array instanceof Float32Array || array instanceof Float64Array) {
+        return { type: 'double', values: Array.from(array, v => Number.isNaN(v) ? null : v) };
+    }
+
+    if (typeof BigInt64Array !== 'undefined' && (array instanceof BigInt64Array || array instanceof BigUint64Array)) {
+        // Rに64ビット整数はないため倍精度に変換する
+        return { type: 'double', values: Array.from(array, Number) };
+    }
+
+    // Rの整数は32ビット符号付きで、その最小値はNA_integer_に使われる
+    // 範囲に収まらない値を含みうる場合は値を変えないよう倍精度にする
+    if (array instanceof Uint32Array || (array instanceof Int32Array && array.includes(INTEGER_NA))) {
+        return { type: 'double', values: Array.from(array) };
+    }
+
+    return { type: 'integer', values: Array.from(array) };
+}
+
+/**
+ * 値の配列からRの型を推定して列に変換
+ * 数値・論理値・日時が混在する場合は文字列として扱う
+ * @param {Array<any>} values - 値
+ * @returns {RColumn}
+ */
+export function toColumn(values) {
+    if (ArrayBuffer.isView(values)) {
+        return fromTypedArray(values);
+    }
+
+    const present = values.filter(value => !isMissing(value));
+    const normalized = values.map(value => isMissing(value) ? null : value);
+
+    if (present.length > 0 && present.every(value => typeof value === 'number')) {
+        return { type: 'double', values: normalized };
+    }
+
+    if (present.length > 0 && present.every(value => typeof value === 'boolean')) {
+        return { type: 'logical', values: normalized };
+    }
+
+    if (present.length > 0 && present.every(value => value instanceof Date)) {
+        // 秒単位のUNIX時間としてPOSIXctに変換する
+        return { type: 'datetime', values: normalized.map(value => value === null ? null : value.getTime() / 1000) };
+    }
+
+    // すべて欠損の列は論理型のNAにする（Rのデフォルトと同じ）
+    if (present.length === 0) {
+        return { type: 'logical', values: normalized };
+    }
+
+    return {
+        type: 'character',
+        values: normalized.map(value => value === null ? null : String(value))
+    };
+}
+
+/**
+ * 行オブジェクトの配列を列ごとの配列に変換
+ * 列の順序は最初に現れた順、存在しないキーは欠損値とする
+ * @param {Array<Object>} rows - 行オブジェクトの配列
+ * @returns {Object.<string, Array<any>>}
+ */
+export function rowsToColumns(rows) {
+    const columns = {};
+
+    rows.forEach((row, i) => {
+        Object.keys(row).forEach(key => {
+            if (!(key in columns)) {
+                columns[key] = new Array(i).fill(null);
+            }
+        });
+
+        Object.keys(columns).forEach(key => {
+            columns[key].push(key in row ? row[key] : null);
+        });
+    });
+
+    return columns;
+}
+
+/**
+ * 列ごとの配列の長さが揃っているか検証
+ * @param {Object.<string, Array<any>>} columns - 列ごとの配列
+ * @throws {Error} 長さが異なる場合
+ */
+function assertSameLength(columns) {
+    const lengths = new Set(Object.values(columns).map(values => values.length));
+    if (lengths.size > 1) {
+        throw new Error(t('data.columnLengthMismatch'));
+    }
+}
+
+/**
+ * loadDataに渡されたデータの形を判定して変換
+ * @param {Array<Object>|Object.<string, Array<any>>|Array<any>|ArrayBufferView|string} data - データ
+ * @param {{format?: 'csv'}} [options] - 変換オプション
+ * @returns {{kind: 'csv', text: string}|{kind: 'vector', column: RColumn}|{kind: 'frame', columns: Object.<string, RColumn>}}
+ * @throws {Error} 変換できない形式の場合
+ */
+export function describeData(data, options = {}) {
+    if (typeof data === 'string' || options.format === 'csv') {
+        if (typeof data !== 'string') {
+            throw new Error(t('data.csvNotString'));
+        }
+        return { kind: 'csv', text: data };
+    }
+
+    if (ArrayBuffer.isView(data)) {
+        return { kind: 'vector', column: fromTypedArray(data) };
+    }
+
+    if (Array.isArray(data)) {
+        const isRows = data.length > 0 && data.every(row => row !== null && typeof row === 'object' && !Array.isArray(row) && !(row instanceof Date));
+        if (!isRows) {
+            return { kind: 'vector', column: toColumn(data) };
+        }
+
+        const columns = rowsToColumns(data);
+        return { kind: 'frame', columns: mapColumns(columns) };
+    }
+
+    if (data !== null && typeof data === 'object') {
+        const columns = {};
+        Object.entries(data).forEach(([name, values]) => {
+            if (!Array.isArray(values) && !ArrayBuffer.isView(values)) {
+                throw new Error(t('data.columnNotArray', { name }));
+            }
+            columns[name] = values;
+        });
+        assertSameLength(columns);
+        return { kind: 'frame', columns: mapColumns(columns) };
+    }
+
+    throw new Error(t('data.unsupported'));
+}
+
+/**
+ * 列ごとの配列をRColumnに変換
+ * @param {Object.<string, Array<any>>} columns - 列ごとの配列
+ * @returns {Object.<string, RColumn>}
+ */
+function mapColumns(columns) {
+    const result = {};
+    Object.entries(columns).forEach(([name, values]) => {
+        result[name] = toColumn(values);
+    });
+    return result;
+}
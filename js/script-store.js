@@ -0,0 +1,202 @@
+/**
+ * スクリプトストア - スクリプト・タブの状態・スニペットをIndexedDBに保存する
+ * @module script-store
+ */
+
+import { t } from './i18n.js';
+
+/** データベース名 */
+const DB_NAME = 'webr-playground';
+
+/** データベースのバージョン */
+const DB_VERSION = 2;
+
+/** スクリプトを保存するオブジェクトストア */
+const SCRIPTS_STORE = 'scripts';
+
+/** タブの状態などを保存するオブジェクトストア */
+const STATE_STORE = 'state';
+
+/** ユーザーのスニペットを保存するオブジェクトストア */
+const SNIPPETS_STORE = 'snippets';
+
+/**
+ * IDBRequestの完了を待つ
+ * @param {IDBRequest} request - リクエスト
+ * @returns {Promise<any>}
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * スクリプトストアクラス
+ */
+export class ScriptStore {
+    constructor() {
+        /** @type {IDBDatabase|null} */
+        this.db = null;
+
+        /** @type {Promise<void>|null} 閉じたデータベースを開き直している処理 */
+        this.reopening = null;
+    }
+
+    /**
+     * データベースを開く
+     * @returns {Promise<void>}
+     * @throws {Error} IndexedDBが使えない場合
+     */
+    async open() {
+        if (this.db) {
+            return;
+        }
+
+        if (typeof indexedDB === 'undefined') {
+            throw new Error(t('storage.indexedDbUnavailable'));
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(SCRIPTS_STORE)) {
+                db.createObjectStore(SCRIPTS_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(STATE_STORE)) {
+                db.createObjectStore(STATE_STORE);
+            }
+            if (!db.objectStoreNames.contains(SNIPPETS_STORE)) {
+                db.createObjectStore(SNIPPETS_STORE, { keyPath: 'id' });
+            }
+        };
+
+        this.db = await new Promise((resolve, reject) => {
+            let blocked = false;
+            request.onsuccess = () => {
+                // 失敗とした後に開けた場合は、他のタブの更新を妨げないよう閉じる
+                if (blocked) {
+                    request.result.close();
+                    return;
+                }
+                resolve(request.result);
+            };
+            request.onerror = () => reject(request.error);
+            // 古いバージョンを開いたままの別のタブがあると更新が進まないため、待たずに失敗とする
+            request.onblocked = () => {
+                blocked = true;
+                reject(new Error(t('storage.blocked')));
+            };
+        });
+
+        // 別のタブがデータベースを更新する場合は閉じて譲る（次の読み書きで開き直す）
+        this.db.onversionchange = () => {
+            this.db.close();
+            this.db = null;
+        };
+    }
+
+    /**
+     * データベースが開いているか
+     * 開き直せなかった場合（別のタブで新しいバージョンに更新された場合など）はfalse
+     * @returns {boolean}
+     */
+    isOpen() {
+        return this.db !== null;
+    }
+
+    /**
+     * オブジェクトストアを取得
+     * 別のタブの更新で閉じていれば開き直す
+     * @private
+     * @param {string} name - オブジェクトストア名
+     * @param {IDBTransactionMode} mode - トランザクションのモード
+     * @returns {Promise<IDBObjectStore>}
+     * @throws {Error} 開き直せない場合
+     */
+    async getStore(name, mode) {
+        if (!this.db) {
+            // 同時の読み書きで何度も開かないよう、開き直しはひとつにまとめる
+            this.reopening ??= this.open().finally(() => {
+                this.reopening = null;
+            });
+            await this.reopening;
+        }
+        return this.db.transaction(name, mode).objectStore(name);
+    }
+
+    /**
+     * すべてのスクリプトを取得
+     * @returns {Promise<Array<WebRPlayground.Script>>}
+     */
+    async getScripts() {
+        return await promisifyRequest((await this.getStore(SCRIPTS_STORE, 'readonly')).getAll());
+    }
+
+    /**
+     * スクリプトを保存
+     * @param {WebRPlayground.Script} script - スクリプト
+     * @returns {Promise<void>}
+     */
+    async putScript(script) {
+        await promisifyRequest((await this.getStore(SCRIPTS_STORE, 'readwrite')).put(script));
+    }
+
+    /**
+     * スクリプトを削除
+     * @param {string} id - スクリプトID
+     * @returns {Promise<void>}
+     */
+    async deleteScript(id) {
+        await promisifyRequest((await this.getStore(SCRIPTS_STORE, 'readwrite')).delete(id));
+    }
+
+    /**
+     * すべてのスニペットを取得
+     * @returns {Promise<Array<WebRPlayground.CodeExample>>}
+     */
+    async getSnippets() {
+        return await promisifyRequest((await this.getStore(SNIPPETS_STORE, 'readonly')).getAll());
+    }
+
+    /**
+     * スニペットを保存
+     * @param {WebRPlayground.CodeExample} snippet - スニペット
+     * @returns {Promise<void>}
+     */
+    async putSnippet(snippet) {
+        await promisifyRequest((await this.getStore(SNIPPETS_STORE, 'readwrite')).put(snippet));
+    }
+
+    /**
+     * スニペットを削除
+     * @param {string} id - スニペットID
+     * @returns {Promise<void>}
+     */
+    async deleteSnippet(id) {
+        await promisifyRequest((await this.getStore(SNIPPETS_STORE, 'readwrite')).delete(id));
+    }
+
+    /**
+     * 状態を取得
+     * @param {string} key - キー
+     * @returns {Promise<any>} 保存されていなければundefined
+     */
+    async getState(key) {
+        return await promisifyRequest((await this.getStore(STATE_STORE, 'readonly')).get(key));
+    }
+
+    /**
+     * 状態を保存
+     * @param {string} key - キー
+     * @param {any} value - 値
+     * @returns {Promise<void>}
+     */
+    async putState(key, value) {
+        await promisifyRequest((await this.getStore(STATE_STORE, 'readwrite')).put(value, key));
+    }
+}
+
+// デフォルトエクスポート
+export default ScriptStore;
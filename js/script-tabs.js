@@ -0,0 +1,512 @@
+/**
+ * スクリプトタブ - 複数のスクリプトの切り替え・名前変更・並べ替えと自動保存
+ * @module script-tabs
+ */
+
+import { ScriptStore } from './script-store.js';
+import { t } from './i18n.js';
+
+/** 以前の単一スクリプトの保存キー（初回起動時に取り込む） */
+const LEGACY_STORAGE_KEY = 'webr-playground-code';
+
+/** タブの状態の保存キー */
+const TABS_STATE_KEY = 'tabs';
+
+/** 自動保存までの待ち時間（ミリ秒） */
+const AUTOSAVE_DELAY = 500;
+
+/**
+ * スクリプトIDの生成
+ * @returns {string}
+ */
+function createId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * スクリプトタブクラス
+ */
+export class ScriptTabs {
+    /**
+     * @param {Object} elements - タブを構成する要素
+     * @param {HTMLElement} elements.tabList - タブ一覧
+     * @param {HTMLButtonElement} elements.newTabBtn - 新規タブボタン
+     * @param {import('./code-editor.js').CodeEditor} editor - エディタ
+     */
+    constructor(elements, editor) {
+        /** @type {Object.<string, HTMLElement>} */
+        this.elements = elements;
+
+        /** @type {import('./code-editor.js').CodeEditor} */
+        this.editor = editor;
+
+        /** @type {ScriptStore} */
+        this.store = new ScriptStore();
+
+        /** @type {boolean} IndexedDBに保存できるか */
+        this.persistent = false;
+
+        /** @type {Array<WebRPlayground.Script>} タブの並び順 */
+        this.scripts = [];
+
+        /** @type {string|null} */
+        this.activeId = null;
+
+        /** @type {Set<string>} 未保存のスクリプトID */
+        this.dirtyIds = new Set();
+
+        /** @type {number|null} */
+        this.saveTimer = null;
+
+        /** @type {boolean} タブ切り替えでエディタを書き換え中か */
+        this.switching = false;
+
+        /** @type {string|null} ドラッグ中のスクリプトID */
+        this.draggingId = null;
+
+        /** @type {function(string): void|null} */
+        this.onMessage = null;
+    }
+
+    /**
+     * タブの初期化
+     * 保存されたスクリプトを復元し、なければ既定のスクリプトを開く
+     * @param {{name: string, code: string}} defaultScript - 保存がない場合のスクリプト
+     * @param {Object} [handlers] - イベントハンドラ
+     * @param {function(string): void} [handlers.onMessage] - 保存できなくなったことの警告
+     * @returns {Promise<void>}
+     */
+    async initialize(defaultScript, { onMessage = null } = {}) {
+        this.onMessage = onMessage;
+        this.setupEventListeners();
+
+        let scripts = [];
+        let state = null;
+
+        try {
+            await this.store.open();
+            scripts = await this.store.getScripts();
+            state = await this.store.getState(TABS_STATE_KEY);
+            this.persistent = true;
+        } catch (error) {
+            console.warn('スクリプトを保存できません（このセッションのみ保持します）:', error);
+        }
+
+        if (scripts.length > 0) {
+            // 保存された並び順に整列し、並び順にないものは末尾に置く
+            const order = state?.order || [];
+            const position = (script) => {
+                const index = order.indexOf(script.id);
+                return index === -1 ? order.length : index;
+            };
+            this.scripts = scripts.sort((a, b) => position(a) - position(b));
+        } else {
+            // 以前のバージョンでlocalStorageに保存したコードがあれば取り込む
+            const legacyCode = localStorage.getItem(LEGACY_STORAGE_KEY);
+            const script = legacyCode
+                ? this.createScript(t('tabs.legacyScript'), legacyCode)
+                : this.createScript(defaultScript.name, defaultScript.code);
+            this.scripts = [script];
+            this.dirtyIds.add(script.id);
+        }
+
+        const activeId = this.scripts.some(script => script.id === state?.activeId)
+            ? state.activeId
+            : this.scripts[0].id;
+
+        this.activeId = null;
+        this.activate(activeId);
+
+        if (this.dirtyIds.size > 0) {
+            await this.flush();
+            localStorage.removeItem(LEGACY_STORAGE_KEY);
+        }
+    }
+
+    /**
+     * イベントリスナーの設定
+     * @private
+     */
+    setupEventListeners() {
+        this.elements.newTabBtn.addEventListener('click', () => this.open(this.createUntitledName(), ''));
+
+        // 編集内容とカーソル位置の自動保存
+        this.editor.onChange((code) => {
+            const script = this.getActive();
+            if (this.switching || !script || script.code === code) {
+                return;
+            }
+            script.code = code;
+            script.updatedAt = Date.now();
+            this.markDirty(script);
+        });
+
+        const textarea = this.editor.textarea;
+        const updateViewState = () => {
+            const script = this.getActive();
+            if (!this.switching && script) {
+                Object.assign(script, this.editor.getViewState());
+                this.markDirty(script);
+            }
+        };
+        document.addEventListener('selectionchange', () => {
+            if (document.activeElement === textarea) {
+                updateViewState();
+            }
+        });
+        textarea.addEventListener('scroll', updateViewState);
+
+        // ページを離れる前に未保存の変更を書き込む
+        window.addEventListener('pagehide', () => this.flush());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                this.flush();
+            }
+        });
+    }
+
+    /**
+     * スクリプトの作成
+     * @private
+     * @param {string} name - スクリプト名
+     * @param {string} code - コード
+     * @returns {WebRPlayground.Script}
+     */
+    createScript(name, code) {
+        return {
+            id: createId(),
+            name,
+            code,
+            selectionStart: 0,
+            selectionEnd: 0,
+            scrollTop: 0,
+            updatedAt: Date.now()
+        };
+    }
+
+    /**
+     * 重複しない既定のスクリプト名を作成
+     * @private
+     * @returns {string}
+     */
+    createUntitledName() {
+        const names = new Set(this.scripts.map(script => script.name));
+        let n = 1;
+        while (names.has(t('tabs.untitled', { n }))) {
+            n++;
+        }
+        return t('tabs.untitled', { n });
+    }
+
+    /**
+     * 表示中のスクリプトを取得
+     * @returns {WebRPlayground.Script|null}
+     */
+    getActive() {
+        return this.scripts.find(script => script.id === this.activeId) || null;
+    }
+
+    /**
+     * 新しいタブでスクリプトを開く
+     * @param {string} name - スクリプト名
+     * @param {string} code - コード
+     * @returns {WebRPlayground.Script}
+     */
+    open(name, code) {
+        const script = this.createScript(name, code);
+
+        const index = this.scripts.findIndex(s => s.id === this.activeId);
+        this.scripts.splice(index + 1, 0, script);
+
+        this.activate(script.id);
+        this.markDirty(script);
+        this.editor.focus();
+        return script;
+    }
+
+    /**
+     * タブの切り替え
+     * @param {string} id - スクリプトID
+     */
+    activate(id) {
+        const script = this.scripts.find(s => s.id === id);
+        if (!script) {
+            return;
+        }
+
+        // 切り替え前のカーソル位置を記録
+        const current = this.getActive();
+        if (current && current.id !== id) {
+            Object.assign(current, this.editor.getViewState());
+            this.markDirty(current);
+        }
+
+        this.activeId = id;
+        this.switching = true;
+        try {
+            this.editor.setValue(script.code);
+            this.editor.setViewState(script);
+        } finally {
+            this.switching = false;
+        }
+
+        this.render();
+        this.scheduleSave();
+    }
+
+    /**
+     * スクリプト名の変更
+     * @param {string} id - スクリプトID
+     */
+    rename(id) {
+        const script = this.scripts.find(s => s.id === id);
+        if (!script) {
+            return;
+        }
+
+        const name = window.prompt(t('tabs.renamePrompt'), script.name)?.trim();
+        if (!name || name === script.name) {
+            return;
+        }
+
+        script.name = name;
+        this.markDirty(script);
+        this.render();
+    }
+
+    /**
+     * タブを閉じる
+     * 最後のタブを閉じた場合は空のスクリプトを開く
+     * @param {string} id - スクリプトID
+     * @returns {Promise<void>}
+     */
+    async close(id) {
+        const index = this.scripts.findIndex(s => s.id === id);
+        if (index === -1) {
+            return;
+        }
+
+        const script = this.scripts[index];
+        if (script.code.trim() && !window.confirm(t('tabs.closeConfirm', { name: script.name }))) {
+            return;
+        }
+
+        this.scripts.splice(index, 1);
+        this.dirtyIds.delete(id);
+
+        if (this.scripts.length === 0) {
+            this.scripts.push(this.createScript(this.createUntitledName(), ''));
+            this.markDirty(this.scripts[0]);
+        }
+
+        if (this.activeId === id) {
+            this.activeId = null;
+            this.activate(this.scripts[Math.min(index, this.scripts.length - 1)].id);
+        } else {
+            this.render();
+            this.scheduleSave();
+        }
+
+        if (this.persistent) {
+            try {
+                await this.store.deleteScript(id);
+            } catch (error) {
+                console.error('スクリプトの削除エラー:', error);
+                this.handleStoreError();
+            }
+        }
+    }
+
+    /**
+     * タブの移動
+     * @param {string} id - スクリプトID
+     * @param {number} toIndex - 移動先の位置
+     */
+    move(id, toIndex) {
+        const index = this.scripts.findIndex(s => s.id === id);
+        if (index === -1 || toIndex < 0 || toIndex >= this.scripts.length || index === toIndex) {
+            return;
+        }
+
+        const [script] = this.scripts.splice(index, 1);
+        this.scripts.splice(toIndex, 0, script);
+
+        this.render();
+        this.scheduleSave();
+    }
+
+    /**
+     * タブの描画
+     */
+    render() {
+        const fragment = document.createDocumentFragment();
+
+        this.scripts.forEach((script, index) => {
+            const active = script.id === this.activeId;
+
+            const tab = document.createElement('div');
+            tab.className = 'script-tab';
+            tab.classList.toggle('active', active);
+            tab.draggable = true;
+            tab.dataset.id = script.id;
+
+            const name = document.createElement('button');
+            name.className = 'script-tab-name';
+            name.textContent = script.name;
+            name.title = t('tabs.tabTitle', { name: script.name });
+            name.setAttribute('role', 'tab');
+            name.setAttribute('aria-selected', active ? 'true' : 'false');
+            name.tabIndex = active ? 0 : -1;
+            name.addEventListener('click', () => this.activate(script.id));
+            name.addEventListener('dblclick', () => this.rename(script.id));
+            name.addEventListener('keydown', (e) => this.handleTabKeydown(e, script.id, index));
+
+            const close = document.createElement('button');
+            close.className = 'script-tab-close';
+            close.textContent = '×';
+            close.title = t('tabs.close', { name: script.name });
+            close.setAttribute('aria-label', close.title);
+            close.addEventListener('click', () => this.close(script.id));
+
+            // ドラッグによる並べ替え
+            tab.addEventListener('dragstart', (e) => {
+                this.draggingId = script.id;
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', script.name);
+            });
+            tab.addEventListener('dragover', (e) => {
+                if (this.draggingId) {
+                    e.preventDefault();
+                    tab.classList.add('drag-over');
+                }
+            });
+            tab.addEventListener('dragleave', () => tab.classList.remove('drag-over'));
+            tab.addEventListener('drop', (e) => {
+                e.preventDefault();
+                tab.classList.remove('drag-over');
+                if (this.draggingId) {
+                    this.move(this.draggingId, index);
+                }
+            });
+            tab.addEventListener('dragend', () => {
+                this.draggingId = null;
+            });
+
+            tab.appendChild(name);
+            tab.appendChild(close);
+            fragment.appendChild(tab);
+        });
+
+        this.elements.tabList.innerHTML = '';
+        this.elements.tabList.appendChild(fragment);
+    }
+
+    /**
+     * タブ上のキー操作
+     * @private
+     * @param {KeyboardEvent} e - キーボードイベント
+     * @param {string} id - スクリプトID
+     * @param {number} index - タブの位置
+     */
+    handleTabKeydown(e, id, index) {
+        if (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight') {
+            return;
+        }
+
+        e.preventDefault();
+        const offset = e.key === 'ArrowLeft' ? -1 : 1;
+
+        if (e.altKey) {
+            this.move(id, index + offset);
+            this.focusTab(id);
+            return;
+        }
+
+        const next = this.scripts[index + offset];
+        if (next) {
+            this.activate(next.id);
+            this.focusTab(next.id);
+        }
+    }
+
+    /**
+     * タブにフォーカス
+     * @private
+     * @param {string} id - スクリプトID
+     */
+    focusTab(id) {
+        const tab = Array.from(this.elements.tabList.children).find(el => el.dataset.id === id);
+        tab?.querySelector('.script-tab-name').focus();
+    }
+
+    /**
+     * 変更があったスクリプトを記録して自動保存を予約
+     * @private
+     * @param {WebRPlayground.Script} script - スクリプト
+     */
+    markDirty(script) {
+        this.dirtyIds.add(script.id);
+        this.scheduleSave();
+    }
+
+    /**
+     * 自動保存の予約
+     * @private
+     */
+    scheduleSave() {
+        if (this.saveTimer !== null) {
+            clearTimeout(this.saveTimer);
+        }
+        this.saveTimer = setTimeout(() => this.flush(), AUTOSAVE_DELAY);
+    }
+
+    /**
+     * 未保存の変更とタブの状態を書き込む
+     * @returns {Promise<void>}
+     */
+    async flush() {
+        if (this.saveTimer !== null) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+
+        if (!this.persistent) {
+            return;
+        }
+
+        const dirty = this.scripts.filter(script => this.dirtyIds.has(script.id));
+        this.dirtyIds.clear();
+
+        try {
+            for (const script of dirty) {
+                await this.store.putScript({ ...script });
+            }
+            await this.store.putState(TABS_STATE_KEY, {
+                activeId: this.activeId,
+                order: this.scripts.map(script => script.id)
+            });
+        } catch (error) {
+            console.error('スクリプトの保存エラー:', error);
+            dirty.forEach(script => this.dirtyIds.add(script.id));
+            this.handleStoreError();
+        }
+    }
+
+    /**
+     * 保存の失敗の処理
+     * データベースを開き直せなくなった場合は、このセッションのみ保持するよう切り替えて知らせる
+     * @private
+     */
+    handleStoreError() {
+        if (this.persistent && !this.store.isOpen()) {
+            this.persistent = false;
+            this.onMessage?.(t('storage.sessionOnly'));
+        }
+    }
+}
+
+// デフォルトエクスポート
+export default ScriptTabs;
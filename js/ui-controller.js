@@ -3,7 +3,26 @@
  * @module ui-controller
  */
 
-import { getExampleCode, getAllExamples } from './examples.js';
+import { examples, getExampleLabel } from './examples.js';
+import { ExampleBrowser } from './example-browser.js';
+import { EnvironmentPanel } from './environment-panel.js';
+import { PlotGallery } from './plot-gallery.js';
+import { FileBrowser } from './file-browser.js';
+import { PackagePanel } from './package-panel.js';
+import { CodeEditor } from './code-editor.js';
+import { ConsoleRepl } from './console-repl.js';
+import { ScriptTabs } from './script-tabs.js';
+import { CompletionPopup } from './completion-popup.js';
+import { HelpViewer } from './help-viewer.js';
+import { quoteRName, formatRError } from './webr-service.js';
+import { createShareUrl } from './permalink.js';
+import { t, getLocale, getLocales, setLocale, onLocaleChange, translateDocument, LOCALE_NAMES } from './i18n.js';
+
+/** ライブモードの設定を保存するlocalStorageのキー */
+const LIVE_STORAGE_KEY = 'webr-playground-live';
+
+/** ライブモードで編集が止まってから再実行するまでの待ち時間（ミリ秒） */
+const LIVE_DELAY = 800;
 
 /**
  * UIコントローラークラス
@@ -22,6 +41,116 @@ export class UIController {
         
         /** @type {boolean} */
         this.isRunning = false;
+        
+        /** @type {boolean} 実行中なのがスクリプト全体か（ライブモードで古い実行を止めてよいか） */
+        this.runningScript = false;
+        
+        /** @type {boolean} ライブモード（編集が止まったらスクリプトを再実行する） */
+        this.liveMode = false;
+        
+        /** @type {number|null} */
+        this.liveTimer = null;
+        
+        /** @type {string|null} 最後に実行したスクリプト全体のコード */
+        this.lastScriptCode = null;
+        
+        /** @type {boolean} 実行中のコードが終わったらライブモードの再実行を行うか */
+        this.liveRerunPending = false;
+        
+        /** @type {Array<WebRPlayground.OutputEntry>} 描画待ちの出力 */
+        this.pendingOutput = [];
+        
+        /** @type {number|null} */
+        this.outputFrame = null;
+        
+        /** @type {boolean} 今回の実行で出力があったか */
+        this.hasStreamedOutput = false;
+        
+        /** @type {number|null} 実行中のコードの先頭がエディタの何行目か（0始まり、エディタ外のコードはnull） */
+        this.sourceLine = null;
+        
+        /** @type {Map<WebRPlayground.OutputEntry, HTMLCanvasElement>} コンソール内のプロット */
+        this.plotElements = new Map();
+        
+        /** @type {CodeEditor} */
+        this.editor = new CodeEditor({
+            textarea: this.elements.codeInput,
+            highlight: this.elements.editorHighlight,
+            gutter: this.elements.editorGutter
+        });
+        
+        /** @type {CompletionPopup} */
+        this.completion = new CompletionPopup(this.editor);
+        
+        /** @type {Promise<void>|null} 保存されたスクリプトの復元 */
+        this.scriptsRestored = null;
+        
+        /** @type {ScriptTabs} */
+        this.scriptTabs = new ScriptTabs({
+            tabList: this.elements.scriptTabs,
+            newTabBtn: this.elements.newTabBtn
+        }, this.editor);
+        
+        /** @type {ExampleBrowser} */
+        this.exampleBrowser = new ExampleBrowser({
+            searchInput: this.elements.exampleSearchInput,
+            list: this.elements.exampleList,
+            saveSnippetBtn: this.elements.saveSnippetBtn
+        });
+        
+        /** @type {EnvironmentPanel} */
+        this.environmentPanel = new EnvironmentPanel(this.elements.environmentList);
+        
+        /** @type {PlotGallery} */
+        this.plotGallery = new PlotGallery({
+            area: this.elements.plotArea,
+            canvas: this.elements.plotCanvas,
+            thumbnails: this.elements.plotThumbnails,
+            counter: this.elements.plotCounter,
+            prevBtn: this.elements.plotPrevBtn,
+            nextBtn: this.elements.plotNextBtn,
+            downloadBtn: this.elements.plotDownloadBtn,
+            downloadAllBtn: this.elements.plotDownloadAllBtn
+        });
+        
+        /** @type {FileBrowser} */
+        this.fileBrowser = new FileBrowser({
+            panel: this.elements.filePanel,
+            list: this.elements.fileList,
+            path: this.elements.filePath,
+            fileInput: this.elements.fileInput,
+            uploadBtn: this.elements.uploadFileBtn,
+            newFolderBtn: this.elements.newFolderBtn,
+            refreshBtn: this.elements.refreshFilesBtn
+        });
+        
+        /** @type {PackagePanel} */
+        this.packagePanel = new PackagePanel({
+            searchInput: this.elements.packageSearchInput,
+            searchBtn: this.elements.packageSearchBtn,
+            results: this.elements.packageResults,
+            installed: this.elements.packageInstalled,
+            progress: this.elements.packageProgress,
+            repoUrl: this.elements.packageRepoUrl
+        });
+        
+        /** @type {HelpViewer} */
+        this.helpViewer = new HelpViewer({
+            panel: this.elements.helpPanel,
+            searchInput: this.elements.helpSearchInput,
+            results: this.elements.helpResults,
+            content: this.elements.helpContent,
+            backBtn: this.elements.helpBackBtn,
+            examples: this.elements.helpExamples,
+            openExampleBtn: this.elements.helpOpenExampleBtn,
+            runExampleBtn: this.elements.helpRunExampleBtn
+        });
+        
+        /** @type {ConsoleRepl} */
+        this.consoleRepl = new ConsoleRepl({
+            input: this.elements.consoleInput,
+            prompt: this.elements.consolePrompt
+        });
     }
 
     /**
@@ -32,14 +161,61 @@ export class UIController {
     initializeElements() {
         return {
             statusDiv: document.getElementById('status'),
+            languageSelect: document.getElementById('language-select'),
+            themeSelect: document.getElementById('theme-select'),
+            darkPlotsToggle: document.getElementById('dark-plots-toggle'),
+            cacheStatus: document.getElementById('cache-status'),
+            updateRuntimeBtn: document.getElementById('update-runtime-btn'),
             outputDiv: document.getElementById('console-output'),
+            consoleInput: document.getElementById('console-input'),
+            consolePrompt: document.getElementById('console-prompt'),
             plotCanvas: document.getElementById('plot-canvas'),
             plotArea: document.getElementById('plot-area'),
+            plotThumbnails: document.getElementById('plot-thumbnails'),
+            plotCounter: document.getElementById('plot-counter'),
+            plotPrevBtn: document.getElementById('plot-prev-btn'),
+            plotNextBtn: document.getElementById('plot-next-btn'),
+            plotDownloadBtn: document.getElementById('plot-download-btn'),
+            plotDownloadAllBtn: document.getElementById('plot-download-all-btn'),
             runBtn: document.getElementById('run-btn'),
+            runLineBtn: document.getElementById('run-line-btn'),
+            stopBtn: document.getElementById('stop-btn'),
             clearOutputBtn: document.getElementById('clear-output-btn'),
             clearInputBtn: document.getElementById('clear-input-btn'),
+            shareBtn: document.getElementById('share-btn'),
+            shareAutorun: document.getElementById('share-autorun'),
+            liveToggle: document.getElementById('live-toggle'),
             codeInput: document.getElementById('code-input'),
-            exampleButtons: document.getElementById('example-buttons')
+            editorHighlight: document.getElementById('editor-highlight'),
+            editorGutter: document.getElementById('editor-gutter'),
+            scriptTabs: document.getElementById('script-tabs'),
+            newTabBtn: document.getElementById('new-tab-btn'),
+            exampleSearchInput: document.getElementById('example-search-input'),
+            exampleList: document.getElementById('example-list'),
+            saveSnippetBtn: document.getElementById('save-snippet-btn'),
+            environmentList: document.getElementById('environment-list'),
+            refreshEnvironmentBtn: document.getElementById('refresh-env-btn'),
+            filePanel: document.getElementById('file-panel'),
+            fileList: document.getElementById('file-list'),
+            filePath: document.getElementById('file-path'),
+            fileInput: document.getElementById('file-input'),
+            uploadFileBtn: document.getElementById('upload-file-btn'),
+            newFolderBtn: document.getElementById('new-folder-btn'),
+            refreshFilesBtn: document.getElementById('refresh-files-btn'),
+            packageSearchInput: document.getElementById('package-search-input'),
+            packageSearchBtn: document.getElementById('package-search-btn'),
+            packageResults: document.getElementById('package-results'),
+            packageInstalled: document.getElementById('package-installed'),
+            packageProgress: document.getElementById('package-progress'),
+            packageRepoUrl: document.getElementById('package-repo-url'),
+            helpPanel: document.getElementById('help-panel'),
+            helpSearchInput: document.getElementById('help-search-input'),
+            helpResults: document.getElementById('help-results'),
+            helpContent: document.getElementById('help-content'),
+            helpBackBtn: document.getElementById('help-back-btn'),
+            helpExamples: document.getElementById('help-examples'),
+            helpOpenExampleBtn: document.getElementById('help-open-example-btn'),
+            helpRunExampleBtn: document.getElementById('help-run-example-btn')
         };
     }
 
@@ -50,15 +226,56 @@ export class UIController {
     initialize(webRService) {
         this.webRService = webRService;
         
+        // 表示言語の反映と切り替えの設定
+        translateDocument();
+        this.setupLanguageSelect();
+        
         // イベントリスナーの設定
         this.setupEventListeners();
+        this.setupLiveMode();
         
-        // サンプルボタンの生成
-        this.createExampleButtons();
+        // サンプルブラウザの初期化
+        this.exampleBrowser.initialize({
+            onOpen: (example) => this.openExample(example),
+            getCurrentScript: () => this.scriptTabs.getActive(),
+            onMessage: (message) => this.showInfo(message),
+            onWarning: (message) => this.showWarning(message)
+        });
         
         // キーボードショートカットの設定
         this.setupKeyboardShortcuts();
         
+        // 環境パネルの初期化
+        this.environmentPanel.initialize(webRService, {
+            onPrint: (name) => this.runCode(`print(${quoteRName(name)})`)
+        });
+        
+        // ファイルブラウザの初期化
+        this.fileBrowser.initialize(webRService);
+        
+        // パッケージパネルの初期化
+        this.packagePanel.initialize(webRService, {
+            isBusy: () => this.isRunning
+        });
+        
+        // ヘルプビューアの初期化
+        this.helpViewer.initialize(webRService, {
+            onOpenExample: (name, code) => this.scriptTabs.open(name, code),
+            onRunExample: (code) => this.runCode(code, { append: true })
+        });
+        
+        // コード補完の初期化（実行中はRが応答できないため補完しない）
+        this.completion.initialize(
+            (line, column) => this.webRService.getCompletions(line, column),
+            { isBusy: () => this.isRunning || !this.webRService.isReady() }
+        );
+        
+        // コンソール入力の初期化
+        this.consoleRepl.initialize(webRService, {
+            onEcho: (text) => this.appendConsoleInput(text),
+            onSubmit: (code) => this.runCode(code, { append: true, echo: false })
+        });
+        
         // 初期メッセージの表示
         this.setInitialState();
     }
@@ -70,27 +287,162 @@ export class UIController {
     setupEventListeners() {
         // 実行ボタン
         this.elements.runBtn.addEventListener('click', () => this.runCode());
+        this.elements.runLineBtn.addEventListener('click', () => this.runCurrentCode());
+        
+        // 停止ボタン
+        this.elements.stopBtn.addEventListener('click', () => this.stopCode());
         
         // クリアボタン
         this.elements.clearOutputBtn.addEventListener('click', () => this.clearOutput());
         this.elements.clearInputBtn.addEventListener('click', () => this.clearInput());
         
-        // コード入力エリアのタブキー処理
-        this.elements.codeInput.addEventListener('keydown', (e) => {
-            if (e.key === 'Tab') {
-                e.preventDefault();
-                this.insertTab();
+        // 共有ボタン
+        this.elements.shareBtn.addEventListener('click', () => this.shareCode());
+        
+        // 環境の更新ボタン
+        this.elements.refreshEnvironmentBtn.addEventListener('click', () => this.environmentPanel.refresh());
+    }
+
+    /**
+     * ライブモードの設定
+     * @private
+     */
+    setupLiveMode() {
+        const toggle = this.elements.liveToggle;
+        
+        this.liveMode = localStorage.getItem(LIVE_STORAGE_KEY) === 'true';
+        toggle.checked = this.liveMode;
+        toggle.addEventListener('change', () => this.setLiveMode(toggle.checked));
+        
+        // タブの切り替えやサンプルを開いたときなど、コードの読み込みでは再実行せず、編集による予約も取り消す
+        this.editor.onChange((code, { programmatic }) => {
+            if (programmatic) {
+                clearTimeout(this.liveTimer);
+                this.liveTimer = null;
+            } else {
+                this.scheduleLiveRun();
             }
         });
     }
 
+    /**
+     * ライブモードの切り替え
+     * @param {boolean} enabled - 有効にするか
+     */
+    setLiveMode(enabled) {
+        this.liveMode = enabled;
+        this.elements.liveToggle.checked = enabled;
+        localStorage.setItem(LIVE_STORAGE_KEY, String(enabled));
+        
+        if (enabled) {
+            this.scheduleLiveRun();
+        } else {
+            clearTimeout(this.liveTimer);
+            this.liveTimer = null;
+            this.liveRerunPending = false;
+        }
+    }
+
+    /**
+     * 編集が止まったらスクリプトを再実行するよう予約
+     * @private
+     */
+    scheduleLiveRun() {
+        if (!this.liveMode) {
+            return;
+        }
+        
+        clearTimeout(this.liveTimer);
+        this.liveTimer = setTimeout(() => this.runLive(), LIVE_DELAY);
+    }
+
+    /**
+     * ライブモードでのスクリプトの再実行
+     * 前回から変わっていなければ実行せず、スクリプトの実行中なら古い実行を止めてから実行する
+     * @private
+     * @async
+     */
+    async runLive() {
+        this.liveTimer = null;
+        
+        if (!this.liveMode || !this.webRService || !this.webRService.isReady()) {
+            return;
+        }
+        
+        const code = this.elements.codeInput.value;
+        if (!code.trim() || code === this.lastScriptCode) {
+            return;
+        }
+        
+        if (this.isRunning) {
+            // 実行が終わったところで改めて実行する（コンソールや行の実行は止めない）
+            this.liveRerunPending = true;
+            if (this.runningScript) {
+                this.webRService.cancelExecution('superseded');
+            }
+            return;
+        }
+        
+        await this.runCode();
+    }
+
+    /**
+     * 表示言語の切り替えの設定
+     * @private
+     */
+    setupLanguageSelect() {
+        const select = this.elements.languageSelect;
+        
+        select.innerHTML = '';
+        getLocales().forEach(locale => {
+            const option = document.createElement('option');
+            option.value = locale;
+            option.textContent = LOCALE_NAMES[locale];
+            option.lang = locale;
+            select.appendChild(option);
+        });
+        select.value = getLocale();
+        
+        select.addEventListener('change', () => setLocale(select.value));
+        onLocaleChange(() => this.applyLocale());
+    }
+
+    /**
+     * 変更された表示言語を画面に反映
+     * コンソールの出力済みの内容はそのまま残す
+     * @private
+     */
+    applyLocale() {
+        this.elements.languageSelect.value = getLocale();
+        
+        translateDocument();
+        this.exampleBrowser.render();
+        this.scriptTabs.render();
+        this.helpViewer.updateLocale();
+        
+        if (this.webRService && this.webRService.isReady()) {
+            if (!this.isRunning) {
+                this.updateStatus(this.getReadyStatus(), 'success');
+            }
+            this.environmentPanel.refresh();
+            this.fileBrowser.refresh();
+            this.packagePanel.refresh();
+        }
+    }
+
     /**
      * キーボードショートカットの設定
      * @private
      */
     setupKeyboardShortcuts() {
-        // Ctrl+Enter で実行
-        this.registerShortcut('Enter', true, false, false, () => this.runCode());
+        // Ctrl+Enter で選択範囲または現在の行を実行
+        this.registerShortcut('Enter', true, false, false, () => this.runCurrentCode());
+        
+        // Ctrl+Shift+Enter でスクリプト全体を実行
+        this.registerShortcut('Enter', true, true, false, () => this.runCode());
+        
+        // Esc で実行を停止
+        this.registerShortcut('Escape', false, false, false, () => this.stopCode());
         
         // Ctrl+L で出力クリア
         this.registerShortcut('l', true, false, false, () => this.clearOutput());
@@ -158,158 +510,428 @@ export class UIController {
         }
     }
 
-    /**
-     * サンプルボタンの作成
-     * @private
-     */
-    createExampleButtons() {
-        const examples = getAllExamples();
-        
-        this.elements.exampleButtons.innerHTML = '';
-        
-        examples.forEach(example => {
-            const button = document.createElement('button');
-            button.className = 'example-btn';
-            button.textContent = example.label;
-            button.title = example.description || '';
-            button.addEventListener('click', () => this.loadExample(example.id));
-            
-            this.elements.exampleButtons.appendChild(button);
-        });
-    }
-
     /**
      * 初期状態の設定
      * @private
      */
     setInitialState() {
-        // デフォルトのサンプルコードを設定（元のHTMLと同じ）
-        this.elements.codeInput.value = `# 基本的な例
+        this.elements.outputDiv.textContent = t('common.waitingForWebR');
+        
+        // 保存されたスクリプトを復元し、なければデフォルトのサンプルコードを開く
+        this.scriptsRestored = this.scriptTabs.initialize({
+            name: t('tabs.untitled', { n: 1 }),
+            code: `# ${t('editor.defaultScriptComment')}
 x <- 1:10
 y <- x^2
-summary(y)`;
+summary(y)`
+        }, {
+            onMessage: (message) => this.showWarning(message)
+        }).catch(error => {
+            console.error('スクリプトの復元エラー:', error);
+        });
     }
 
     /**
      * コードの実行
      * @async
+     * @param {string} [source] - 実行するコード（省略時は入力エリアの内容）
+     * @param {Object} [options] - 実行オプション
+     * @param {boolean} [options.append=false] - コンソールをクリアせずに追記するか
+     * @param {boolean} [options.echo=true] - 追記時に実行するコードを表示するか
+     * @param {number|null} [options.sourceLine] - コードの先頭がエディタの何行目か（0始まり）
+     *   エラー行の強調表示に使う。省略時はスクリプト全体なら0、それ以外はnull
      */
-    async runCode() {
+    async runCode(source, { append = false, echo = true, sourceLine = source === undefined ? 0 : null } = {}) {
         if (!this.webRService || !this.webRService.isReady()) {
-            this.showError('WebRが初期化されていません');
+            this.showError(t('errors.notInitialized'));
             return;
         }
         
         if (this.isRunning) {
-            this.showWarning('コードは既に実行中です');
+            this.showWarning(t('run.alreadyRunning'));
             return;
         }
         
-        const code = this.elements.codeInput.value.trim();
+        const rawCode = source ?? this.elements.codeInput.value;
+        const code = rawCode.trim();
         
         if (!code) {
-            this.showWarning('コードを入力してください');
+            this.showWarning(t('run.enterCode'));
             return;
         }
         
+        // ライブモードで同じスクリプトを実行し直さないよう覚えておく
+        if (source === undefined) {
+            this.lastScriptCode = rawCode;
+        }
+        this.runningScript = source === undefined;
+        
+        // 先頭の空行を取り除いた分だけエディタ上の行をずらす
+        const leadingLines = rawCode.substring(0, rawCode.indexOf(code)).split('\n').length - 1;
+        this.sourceLine = sourceLine === null ? null : sourceLine + leadingLines;
+        this.editor.clearErrorLine();
+        
         this.setRunning(true);
         
         try {
-            // 実行開始メッセージ
-            this.appendOutput('実行中...\n\n', true);
+            // 実行されたコードを表示し、結果を逐次追記していく
+            this.beginOutput(code, append, echo);
             
             // コードの実行
-            const result = await this.webRService.executeCode(code);
+            const result = await this.webRService.executeCode(code, {
+                onOutput: (entry) => this.appendStreamOutput(entry)
+            });
             
             // 結果の表示
-            this.displayOutput(result);
+            this.displayOutput(result, { append });
             
         } catch (error) {
             console.error('実行エラー:', error);
-            this.showError(`実行エラー: ${error.message}`);
+            this.showError(t('run.failed', { message: error.message }));
         } finally {
             this.setRunning(false);
+            this.runningScript = false;
+            
+            // 実行で変化したオブジェクトとファイルを反映
+            await this.environmentPanel.refresh();
+            await this.fileBrowser.refresh();
+            await this.packagePanel.refresh();
+            
+            // 実行中に編集されたスクリプトをライブモードで実行する
+            if (this.liveRerunPending) {
+                this.liveRerunPending = false;
+                this.runLive();
+            }
         }
     }
 
     /**
-     * 実行結果の表示
-     * @param {WebRPlayground.ExecutionResult} result - 実行結果
+     * 選択範囲、選択がなければカーソル位置の式を実行
+     * 式の実行後はカーソルを次の行へ進め、続けて1行ずつ実行できるようにする
+     * @async
      */
-    displayOutput(result) {
-        let output = '';
+    async runCurrentCode() {
+        if (!this.webRService || !this.webRService.isReady()) {
+            this.showError(t('errors.notInitialized'));
+            return;
+        }
+        
+        if (this.isRunning) {
+            this.showWarning(t('run.alreadyRunning'));
+            return;
+        }
+        
+        const selection = this.editor.getSelection();
+        if (selection.text.trim()) {
+            const sourceLine = this.editor.getValue().substring(0, selection.start).split('\n').length - 1;
+            await this.runCode(selection.text, { append: true, sourceLine });
+            return;
+        }
+        
+        const lines = this.editor.getValue().split('\n');
+        const isCode = (line) => line.trim() !== '' && !line.trim().startsWith('#');
+        
+        // 空行・コメント行にいる場合は次のコード行から実行する
+        let lineIndex = this.editor.getCursorLine();
+        while (lineIndex < lines.length && !isCode(lines[lineIndex])) {
+            lineIndex++;
+        }
+        
+        if (lineIndex >= lines.length) {
+            this.editor.setCursorLine(lines.length);
+            return;
+        }
+        
+        let range;
+        try {
+            range = await this.webRService.findExpressionAt(lines, lineIndex);
+        } catch (error) {
+            console.error('式の範囲の取得エラー:', error);
+            range = { startLine: lineIndex, endLine: lineIndex };
+        }
+        
+        // 次のコード行へカーソルを進める
+        let nextLine = range.endLine + 1;
+        while (nextLine < lines.length && !isCode(lines[nextLine])) {
+            nextLine++;
+        }
+        this.editor.setCursorLine(nextLine);
+        
+        const code = lines.slice(range.startLine, range.endLine + 1).join('\n');
+        await this.runCode(code, { append: true, sourceLine: range.startLine });
+    }
+
+    /**
+     * 実行中のコードを停止
+     */
+    stopCode() {
+        if (!this.isRunning || !this.webRService) {
+            return;
+        }
+        
+        this.elements.stopBtn.disabled = true;
+        this.updateStatus(t('status.stopping'), 'info');
+        this.webRService.cancelExecution();
+    }
+
+    /**
+     * 実行出力の開始
+     * @private
+     * @param {string} code - 実行するコード
+     * @param {boolean} [append=false] - コンソールをクリアせずに追記するか
+     * @param {boolean} [echo=true] - 追記時に実行するコードを表示するか
+     */
+    beginOutput(code, append = false, echo = true) {
+        this.pendingOutput = [];
+        this.hasStreamedOutput = false;
+        this.plotElements.clear();
         
-        // 実行時間の表示
-        if (result.executionTime) {
-            output += `実行時間: ${result.executionTime}ms\n\n`;
+        // 部分実行はRのコンソールと同じ形式でコードを追記する
+        if (append) {
+            if (echo) {
+                this.appendConsoleInput(code.split('\n').map((line, i) => `${i === 0 ? '>' : '+'} ${line}`).join('\n'));
+            }
+            return;
         }
         
-        // 実行されたコードの表示
-        const code = this.elements.codeInput.value.trim();
-        output += '実行されたコード:\n';
+        let output = t('output.executedCode') + '\n';
         output += this.formatCode(code) + '\n\n';
+        output += t('output.result') + '\n';
         
-        // 結果の表示
-        output += '結果:\n';
+        this.appendOutput(output, true);
+    }
+
+    /**
+     * 入力されたコードをコンソールに追記
+     * @private
+     * @param {string} text - プロンプト付きのコード
+     */
+    appendConsoleInput(text) {
+        const span = document.createElement('span');
+        span.className = 'console-entry console-input';
+        span.textContent = text + '\n';
+        this.elements.outputDiv.appendChild(span);
+        this.elements.outputDiv.scrollTop = this.elements.outputDiv.scrollHeight;
+    }
+
+    /**
+     * 実行中の出力を追加
+     * 大量の出力でも描画が詰まらないよう、フレーム単位でまとめて反映する
+     * @private
+     * @param {WebRPlayground.OutputEntry} entry - 出力
+     */
+    appendStreamOutput(entry) {
+        // ヘルプはビューアに表示する（実行の終了後に読み込まれる）
+        if (entry.type === 'help') {
+            this.helpViewer.showRequested(entry);
+        }
         
-        if (result.success) {
-            if (result.output && result.output.trim()) {
-                output += result.output;
-            } else {
-                output += '(出力なし)';
+        // 描きかけのプロットは同じエントリで更新が届くため、重複して積まない
+        if (!this.pendingOutput.includes(entry)) {
+            this.pendingOutput.push(entry);
+        }
+        
+        if (this.outputFrame === null) {
+            this.outputFrame = requestAnimationFrame(() => this.flushStreamOutput());
+        }
+    }
+
+    /**
+     * 描画待ちの出力を反映
+     * @private
+     */
+    flushStreamOutput() {
+        if (this.outputFrame !== null) {
+            cancelAnimationFrame(this.outputFrame);
+            this.outputFrame = null;
+        }
+        
+        if (this.pendingOutput.length === 0) {
+            return;
+        }
+        
+        const fragment = document.createDocumentFragment();
+        
+        this.pendingOutput.forEach(entry => {
+            if (entry.type === 'plot') {
+                this.renderInlinePlot(entry, fragment);
+                return;
             }
             
-            // プロットの表示
-            if (result.images && result.images.length > 0) {
-                this.displayPlot(result.images[result.images.length - 1]);
-                output += '\n\n[プロットが生成されました]';
-            } else {
-                this.hidePlot();
+            if (entry.type === 'error' && entry.detail) {
+                this.renderErrorEntry(entry.detail, fragment);
+                return;
             }
-        } else {
-            output += `エラー: ${result.error || '不明なエラー'}`;
-            this.hidePlot();
-        }
+            
+            const span = document.createElement('span');
+            span.className = `console-entry console-${entry.type}`;
+            span.textContent = this.formatEntryText(entry) + '\n';
+            fragment.appendChild(span);
+        });
         
-        this.elements.outputDiv.textContent = output;
+        this.pendingOutput = [];
+        this.hasStreamedOutput = true;
         
-        // 出力を最下部までスクロール
+        this.elements.outputDiv.appendChild(fragment);
         this.elements.outputDiv.scrollTop = this.elements.outputDiv.scrollHeight;
     }
 
     /**
-     * コードのフォーマット
+     * エラーの描画
+     * Rのメッセージはそのまま表示し、ヒント・エディタの行・トレースバックを添える
      * @private
-     * @param {string} code - コード
+     * @param {WebRPlayground.ErrorDetail} detail - エラーの詳細
+     * @param {DocumentFragment} fragment - 要素の追加先
+     */
+    renderErrorEntry(detail, fragment) {
+        const span = document.createElement('span');
+        span.className = 'console-entry console-error';
+        span.textContent = formatRError(detail) + '\n';
+        
+        if (detail.hint) {
+            const hint = document.createElement('span');
+            hint.className = 'console-hint';
+            hint.textContent = `💡 ${detail.hint}`;
+            span.appendChild(hint);
+        }
+        
+        const lineIndex = this.getErrorLineIndex(detail);
+        if (lineIndex !== null) {
+            const button = document.createElement('button');
+            button.className = 'console-error-line';
+            button.textContent = t('output.editorLine', { line: lineIndex + 1 });
+            button.addEventListener('click', () => {
+                this.editor.setCursorLine(lineIndex);
+                this.editor.setErrorLine(lineIndex);
+            });
+            span.appendChild(document.createTextNode('↪ '));
+            span.appendChild(button);
+            span.appendChild(document.createTextNode('\n'));
+        }
+        
+        // Rの traceback() と同じく、最も内側の呼び出しから番号の大きい順に並べる
+        if (detail.traceback.length > 0) {
+            const traceback = document.createElement('span');
+            traceback.className = 'console-traceback';
+            traceback.textContent = 'Traceback:\n' + detail.traceback
+                .map((call, i) => `${String(i + 1).padStart(3, ' ')}: ${call}`)
+                .reverse()
+                .join('\n') + '\n';
+            span.appendChild(traceback);
+        }
+        
+        fragment.appendChild(span);
+    }
+
+    /**
+     * エラーが起きた式の先頭のエディタ上の行を求める
+     * @private
+     * @param {WebRPlayground.ErrorDetail} detail - エラーの詳細
+     * @returns {number|null} 行番号（0始まり）、エディタ外のコードの場合はnull
+     */
+    getErrorLineIndex(detail) {
+        if (this.sourceLine === null || !detail.line) {
+            return null;
+        }
+        return this.sourceLine + detail.line - 1;
+    }
+
+    /**
+     * コンソールに表示するエントリの文字列
+     * @private
+     * @param {WebRPlayground.OutputEntry} entry - 出力
      * @returns {string}
      */
-    formatCode(code) {
-        // コードを行番号付きで表示
-        const lines = code.split('\n');
-        return lines.map((line, i) => `  ${(i + 1).toString().padStart(3, ' ')}: ${line}`).join('\n');
+    formatEntryText(entry) {
+        switch (entry.type) {
+            case 'error':
+                return t('common.errorPrefix', { message: entry.text });
+            case 'help':
+                return `📖 ${t('output.helpShown', { topic: entry.topic })}`;
+            default:
+                return entry.text;
+        }
     }
 
     /**
-     * プロットの表示
+     * コンソール内にプロットを描画
+     * 描画済みのプロットに追記があった場合は同じキャンバスを描き直す
      * @private
-     * @param {HTMLImageElement} image - 画像要素
+     * @param {WebRPlayground.OutputEntry} entry - プロットのエントリ
+     * @param {DocumentFragment} fragment - 新しい要素の追加先
      */
-    displayPlot(image) {
-        const ctx = this.elements.plotCanvas.getContext('2d');
+    renderInlinePlot(entry, fragment) {
+        let canvas = this.plotElements.get(entry);
         
-        // キャンバスのサイズを画像に合わせる
-        this.elements.plotCanvas.width = image.width;
-        this.elements.plotCanvas.height = image.height;
+        if (!canvas) {
+            canvas = document.createElement('canvas');
+            canvas.className = 'console-plot';
+            this.plotElements.set(entry, canvas);
+            fragment.appendChild(canvas);
+        }
         
-        // 画像を描画
-        ctx.clearRect(0, 0, image.width, image.height);
-        ctx.drawImage(image, 0, 0);
+        canvas.width = entry.image.width;
+        canvas.height = entry.image.height;
+        canvas.getContext('2d').drawImage(entry.image, 0, 0);
+    }
+
+    /**
+     * 実行結果の表示
+     * 出力本体は実行中に表示済みのため、結果の要約を追記する
+     * @param {WebRPlayground.ExecutionResult} result - 実行結果
+     * @param {Object} [options] - 表示オプション
+     * @param {boolean} [options.append=false] - 部分実行の結果か
+     */
+    displayOutput(result, { append = false } = {}) {
+        this.flushStreamOutput();
         
-        // プロットエリアを表示
-        this.elements.plotArea.style.display = 'block';
+        let output = '';
+        const entries = result.entries || [];
+        const images = result.images || [];
         
-        // アニメーション
-        this.elements.plotArea.classList.add('fade-in');
+        if (result.success) {
+            if (!this.hasStreamedOutput && !append) {
+                output += t('output.none') + '\n';
+            }
+        } else if (result.interrupted) {
+            output += `\n⏹ ${result.error}\n`;
+            this.updateStatus(this.getReadyStatus(), 'success');
+        } else if (!entries.some(entry => entry.type === 'error')) {
+            output += `\n${t('common.errorPrefix', { message: result.error || t('output.unknownError') })}\n`;
+        }
+        
+        // エラーが起きた式をエディタで強調表示
+        if (result.errorDetail) {
+            const lineIndex = this.getErrorLineIndex(result.errorDetail);
+            if (lineIndex !== null) {
+                this.editor.setErrorLine(lineIndex);
+            }
+        }
+        
+        // 生成されたすべてのプロットをギャラリーに表示
+        // 部分実行でプロットがなければ前のプロットを残す
+        if (!append || images.length > 0) {
+            this.plotGallery.show(images);
+        }
+        
+        // 実行時間の表示（部分実行ではコンソールの流れを妨げないよう省略）
+        if (result.executionTime && !append) {
+            output += `\n${t('output.executionTime', { ms: result.executionTime })}\n`;
+        }
+        
+        this.appendOutput(output);
+    }
+
+    /**
+     * コードのフォーマット
+     * @private
+     * @param {string} code - コード
+     * @returns {string}
+     */
+    formatCode(code) {
+        // コードを行番号付きで表示
+        const lines = code.split('\n');
+        return lines.map((line, i) => `  ${(i + 1).toString().padStart(3, ' ')}: ${line}`).join('\n');
     }
 
     /**
@@ -317,7 +939,7 @@ summary(y)`;
      * @private
      */
     hidePlot() {
-        this.elements.plotArea.style.display = 'none';
+        this.plotGallery.hide();
     }
 
     /**
@@ -330,7 +952,7 @@ summary(y)`;
         if (clear) {
             this.elements.outputDiv.textContent = text;
         } else {
-            this.elements.outputDiv.textContent += text;
+            this.elements.outputDiv.appendChild(document.createTextNode(text));
         }
         
         // 最下部までスクロール
@@ -343,7 +965,7 @@ summary(y)`;
     clearOutput() {
         this.elements.outputDiv.textContent = '';
         this.hidePlot();
-        this.showInfo('出力をクリアしました');
+        this.showInfo(t('output.cleared'));
     }
 
     /**
@@ -352,7 +974,7 @@ summary(y)`;
     clearInput() {
         this.elements.codeInput.value = '';
         this.elements.codeInput.focus();
-        this.showInfo('入力をクリアしました');
+        this.showInfo(t('editor.cleared'));
     }
 
     /**
@@ -360,16 +982,78 @@ summary(y)`;
      * @param {string} exampleId - サンプルID
      */
     loadExample(exampleId) {
-        const code = getExampleCode(exampleId);
-        if (code) {
-            this.elements.codeInput.value = code;
-            this.elements.codeInput.focus();
-            
-            // コードの最初にカーソルを移動
-            this.elements.codeInput.setSelectionRange(0, 0);
-            this.elements.codeInput.scrollTop = 0;
-            
-            this.showInfo(`サンプル「${exampleId}」をロードしました`);
+        if (examples[exampleId]) {
+            this.openExample(examples[exampleId]);
+        }
+    }
+
+    /**
+     * サンプル・スニペットを新しいタブで開く
+     * @param {WebRPlayground.CodeExample} example - サンプル
+     */
+    openExample(example) {
+        const name = getExampleLabel(example);
+        
+        // 編集中のスクリプトを上書きしないよう新しいタブで開く
+        this.scriptTabs.open(name, example.code);
+        
+        this.showInfo(t('examples.loaded', { name }));
+        if (example.packages?.length) {
+            this.showInfo(t('examples.requiresPackages', { packages: example.packages.join(', ') }));
+        }
+    }
+
+    /**
+     * 起動時のURLで指定されたスクリプトを新しいタブで開く
+     * @param {Object} params - 起動パラメータ
+     * @param {import('./permalink.js').ShareState|null} params.shared - 共有リンクの内容
+     * @param {string|null} params.exampleId - 開くサンプルのID
+     * @returns {Promise<void>}
+     */
+    async openLaunchScript({ shared, exampleId }) {
+        // 復元したタブの後ろに開く
+        await this.scriptsRestored;
+        
+        if (shared) {
+            this.scriptTabs.open(t('share.scriptName'), shared.code);
+            this.elements.shareAutorun.checked = shared.autorun;
+            return;
+        }
+        
+        if (exampleId) {
+            if (examples[exampleId]) {
+                this.loadExample(exampleId);
+            } else {
+                this.showWarning(t('examples.notFound', { id: exampleId }));
+            }
+        }
+    }
+
+    /**
+     * 現在のスクリプトを共有するリンクを作成してクリップボードにコピー
+     * @returns {Promise<void>}
+     */
+    async shareCode() {
+        const code = this.editor.getValue();
+        if (!code.trim()) {
+            this.showWarning(t('share.noCodeToShare'));
+            return;
+        }
+        
+        const url = await createShareUrl({
+            code,
+            plotWidth: this.webRService.config.plotWidth,
+            plotHeight: this.webRService.config.plotHeight,
+            autorun: this.elements.shareAutorun.checked
+        }, window.location.href);
+        
+        try {
+            await navigator.clipboard.writeText(url);
+            this.appendOutput(`\n🔗 ${t('share.copied')}\n${url}\n`);
+        } catch (error) {
+            // クリップボードが使えない場合は手動でコピーしてもらう
+            console.warn('クリップボードへのコピーに失敗しました:', error);
+            window.prompt(t('share.copyPrompt'), url);
         }
     }
 
@@ -398,53 +1082,21 @@ summary(y)`;
     setRunning(isRunning) {
         this.isRunning = isRunning;
         
-        if (isRunning) {
-            this.elements.runBtn.disabled = true;
-            this.elements.runBtn.textContent = '実行中...';
-            this.elements.runBtn.classList.add('loading');
-        } else {
-            this.elements.runBtn.disabled = false;
-            this.elements.runBtn.textContent = '実行 (Ctrl+Enter)';
-            this.elements.runBtn.classList.remove('loading');
-        }
-    }
-
-    /**
-     * タブの挿入
-     * @private
-     */
-    insertTab() {
-        const start = this.elements.codeInput.selectionStart;
-        const end = this.elements.codeInput.selectionEnd;
-        const value = this.elements.codeInput.value;
-        
-        // タブ文字を挿入
-        this.elements.codeInput.value = value.substring(0, start) + '  ' + value.substring(end);
-        
-        // カーソル位置を更新
-        this.elements.codeInput.selectionStart = this.elements.codeInput.selectionEnd = start + 2;
+        // 実行中は実行ボタンを停止ボタンに置き換える
+        this.elements.runBtn.hidden = isRunning;
+        this.elements.runLineBtn.disabled = isRunning;
+        this.consoleRepl.setBusy(isRunning);
+        this.elements.stopBtn.hidden = !isRunning;
+        this.elements.stopBtn.disabled = false;
     }
 
     /**
-     * コードの保存（ローカルストレージ）
+     * スクリプトの保存（自動保存を待たずにIndexedDBへ書き込む）
      * @private
      */
-    saveCode() {
-        const code = this.elements.codeInput.value;
-        localStorage.setItem('webr-playground-code', code);
-        this.showInfo('コードを保存しました');
-    }
-
-    /**
-     * 保存されたコードの読み込み
-     * @private
-     */
-    loadSavedCode() {
-        const code = localStorage.getItem('webr-playground-code');
-        if (code) {
-            this.elements.codeInput.value = code;
-            this.showInfo('保存されたコードを読み込みました');
-        }
+    async saveCode() {
+        await this.scriptTabs.flush();
+        this.showInfo(t('tabs.saved'));
     }
 
     /**
@@ -464,7 +1116,7 @@ summary(y)`;
      */
     showWarning(message) {
         console.warn(message);
-        this.appendOutput(`⚠️ 警告: ${message}\n`);
+        this.appendOutput(`⚠️ ${t('common.warningPrefix', { message })}\n`);
     }
 
     /**
@@ -474,7 +1126,20 @@ summary(y)`;
      */
     showError(message) {
         console.error(message);
-        this.appendOutput(`❌ エラー: ${message}\n`);
+        this.appendOutput(`❌ ${t('common.errorPrefix', { message })}\n`);
+    }
+
+    /**
+     * 準備完了時のステータス表示（読み込んだwebRとRのバージョンを添える）
+     * @private
+     * @returns {string}
+     */
+    getReadyStatus() {
+        const versions = this.webRService?.versions;
+        if (!versions) {
+            return t('status.ready');
+        }
+        return t('status.readyVersions', { webR: versions.webR, R: versions.R });
     }
 
     /**
@@ -482,9 +1147,17 @@ summary(y)`;
      */
     setReady() {
         this.elements.runBtn.disabled = false;
-        this.updateStatus('WebR準備完了', 'success');
+        this.elements.runLineBtn.disabled = false;
+        this.consoleRepl.setEnabled(true);
+        this.updateStatus(this.getReadyStatus(), 'success');
         this.clearOutput();
-        this.appendOutput('WebRが準備完了しました。Rコードを実行できます。\n');
+        this.appendOutput(t('status.readyMessage') + '\n');
+        this.environmentPanel.refresh()
+            .then(() => this.fileBrowser.refresh())
+            .then(() => this.packagePanel.refresh());
+        
+        // ライブモードなら表示中のスクリプトを実行する
+        this.scheduleLiveRun();
     }
 
     /**
@@ -0,0 +1,556 @@
+/**
+ * 埋め込み用のカスタム要素 <webr-playground> - ドキュメントやブログにRのコードを実行できる形で埋め込む
+ * ページ内のすべての要素でひとつのwebRランタイムを共有し、要素ごとにShelterと評価環境・出力を分ける
+ *
+ *   <script type="module" src="js/webr-playground-element.js"></script>
+ *   <webr-playground autorun plot-width="600" plot-height="400">
+ *     plot(cars)
+ *   </webr-playground>
+ *
+ * @module webr-playground-element
+ */
+
+import { WebRService, formatRError } from './webr-service.js';
+import { t, detectLocale, setLocale, onLocaleChange } from './i18n.js';
+
+/** 要素内のスタイル（ページのスタイルの影響を受けないようShadow DOMに閉じる） */
+const STYLES = `
+:host {
+    display: block;
+    margin: 1em 0;
+    border: 1px solid #ddd;
+    border-radius: 4px;
+    background: #ffffff;
+    color: #2c3e50;
+    font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
+}
+
+:host([hidden]) {
+    display: none;
+}
+
+.toolbar {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    padding: 4px 8px;
+    border-bottom: 1px solid #ddd;
+    background: #f8f9fa;
+    font-size: 12px;
+}
+
+.run {
+    padding: 2px 10px;
+    border: none;
+    border-radius: 4px;
+    background: #3498db;
+    color: white;
+    font-size: 12px;
+    cursor: pointer;
+}
+
+.run:disabled {
+    opacity: 0.6;
+    cursor: default;
+}
+
+.status {
+    color: #7f8c8d;
+}
+
+.editor {
+    display: block;
+    box-sizing: border-box;
+    width: 100%;
+    min-height: 3em;
+    padding: 8px;
+    border: none;
+    resize: vertical;
+    background: #fafafa;
+    color: inherit;
+    font-family: "Consolas", "Monaco", monospace;
+    font-size: 13px;
+    line-height: 1.5;
+    tab-size: 2;
+}
+
+.editor:focus {
+    outline: 2px solid #3498db;
+    outline-offset: -2px;
+}
+
+.output {
+    padding: 8px;
+    border-top: 1px solid #ddd;
+}
+
+.output[hidden] {
+    display: none;
+}
+
+.output pre {
+    margin: 0;
+    white-space: pre-wrap;
+    word-break: break-word;
+    font-family: "Consolas", "Monaco", monospace;
+    font-size: 13px;
+}
+
+.output .stderr,
+.output .error {
+    color: #e74c3c;
+}
+
+.output .warning {
+    color: #d68910;
+}
+
+.output .message {
+    color: #7f8c8d;
+}
+
+.output canvas {
+    display: block;
+    max-width: 100%;
+    height: auto;
+    margin: 4px 0;
+}
+
+@media (prefers-color-scheme: dark) {
+    :host {
+        border-color: #444;
+        background: #2d2d2d;
+        color: #e0e0e0;
+    }
+
+    .toolbar,
+    .output {
+        border-color: #444;
+    }
+
+    .toolbar {
+        background: #3d3d3d;
+    }
+
+    .editor {
+        background: #1e1e1e;
+    }
+}
+`;
+
+/** @type {WebRPlayground.ConfigOptions} 共有ランタイムの設定（最初の実行より前に configure で変更できる） */
+let runtimeConfig = {};
+
+/** @type {Promise<WebRService>|null} ページ内で共有するWebRサービス */
+let servicePromise = null;
+
+/** @type {Promise<void>} 実行の順番待ち（出力キューを共有するため一度にひとつずつ実行する） */
+let queue = Promise.resolve();
+
+/**
+ * 共有のWebRサービスを取得（最初の呼び出しで初期化する）
+ * @returns {Promise<WebRService>}
+ */
+function getService() {
+    if (!servicePromise) {
+        const service = new WebRService(runtimeConfig);
+        servicePromise = service.initialize().then(() => service);
+
+        // 初期化に失敗した場合は次の実行で再試行する
+        servicePromise.catch(() => {
+            servicePromise = null;
+        });
+    }
+    return servicePromise;
+}
+
+/**
+ * 実行を順番待ちに加える
+ * @param {function(): Promise<any>} task - 実行する処理
+ * @returns {Promise<any>}
+ */
+function enqueue(task) {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+}
+
+/**
+ * 要素の中身に書かれたコードの共通のインデントと前後の空行を取り除く
+ * @param {string} text - 要素のテキスト
+ * @returns {string}
+ */
+function dedent(text) {
+    const lines = text.replace(/\r\n?/g, '\n').replace(/^\s*\n|\n\s*$/g, '').split('\n');
+    const indent = Math.min(...lines
+        .filter(line => line.trim())
+        .map(line => line.match(/^[ \t]*/)[0].length));
+    return lines.map(line => line.slice(Number.isFinite(indent) ? indent : 0)).join('\n');
+}
+
+/**
+ * <webr-playground> 要素
+ *
+ * 属性:
+ * - code: 実行するコード（省略時は要素の中身）
+ * - autorun: ページに追加されたら実行する
+ * - readonly: コードを編集できないようにする
+ * - plot-width / plot-height: プロットの大きさ（ピクセル）
+ * - height: エディタの高さ（数値ならピクセル、CSSの長さも可）
+ *
+ * 実行が終わると結果を detail に持つ webr-result イベントを発生させる
+ */
+export class WebRPlaygroundElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['code', 'readonly', 'height'];
+    }
+
+    /**
+     * 共有ランタイムの設定（webRの配置場所・パッケージリポジトリなど）
+     * 最初の要素が実行される前に呼ぶ
+     * @param {WebRPlayground.ConfigOptions} config - 設定オプション
+     */
+    static configure(config) {
+        runtimeConfig = { ...runtimeConfig, ...config };
+    }
+
+    constructor() {
+        super();
+
+        this.attachShadow({ mode: 'open' });
+
+        /** @type {Object.<string, HTMLElement>} */
+        this.elements = null;
+
+        /** @type {WebRPlayground.Session|null} この要素のセッション */
+        this.session = null;
+
+        /** @type {boolean} */
+        this.running = false;
+
+        /** @type {boolean} 自動実行済みか（ページ内で移動しても再実行しない） */
+        this.autorunDone = false;
+
+        /** @type {Map<WebRPlayground.OutputEntry, HTMLCanvasElement>} 描画済みのプロット */
+        this.plotElements = new Map();
+
+        /** @type {function(): void|null} 言語の変更の受け取りを解除する関数 */
+        this.removeLocaleListener = null;
+    }
+
+    connectedCallback() {
+        if (!this.elements) {
+            this.render();
+        }
+
+        this.removeLocaleListener = onLocaleChange(() => this.updateLabels());
+
+        if (this.hasAttribute('autorun') && !this.autorunDone) {
+            this.autorunDone = true;
+            this.run();
+        }
+    }
+
+    disconnectedCallback() {
+        this.removeLocaleListener?.();
+        this.removeLocaleListener = null;
+
+        // ページから取り除かれた要素の評価環境とShelterを解放する
+        // DOM内での移動（取り除いてすぐ挿入し直す）では変数を残すよう、同じタスクの処理が終わってから判断する
+        queueMicrotask(() => {
+            if (this.isConnected || !this.session) {
+                return;
+            }
+            const session = this.session;
+            this.session = null;
+            enqueue(async () => (await getService()).destroySession(session));
+        });
+    }
+
+    /**
+     * @param {string} name - 属性名
+     */
+    attributeChangedCallback(name) {
+        if (!this.elements) {
+            return;
+        }
+
+        switch (name) {
+            case 'code':
+                this.elements.editor.value = this.getAttribute('code') || '';
+                break;
+            case 'readonly':
+                this.elements.editor.readOnly = this.hasAttribute('readonly');
+                break;
+            case 'height':
+                this.applyHeight();
+                break;
+        }
+    }
+
+    /**
+     * 表示中のコード
+     * @type {string}
+     */
+    get code() {
+        return this.elements ? this.elements.editor.value : this.getInitialCode();
+    }
+
+    set code(value) {
+        this.setAttribute('code', value);
+    }
+
+    /**
+     * 初期表示のコード（code属性、なければ要素の中身）
+     * @private
+     * @returns {string}
+     */
+    getInitialCode() {
+        return this.hasAttribute('code') ? this.getAttribute('code') : dedent(this.textContent);
+    }
+
+    /**
+     * 要素の内部の描画
+     * @private
+     */
+    render() {
+        const style = document.createElement('style');
+        style.textContent = STYLES;
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'toolbar';
+
+        const runBtn = document.createElement('button');
+        runBtn.className = 'run';
+        runBtn.setAttribute('part', 'run-button');
+        runBtn.addEventListener('click', () => this.run());
+
+        const status = document.createElement('span');
+        status.className = 'status';
+        status.setAttribute('role', 'status');
+
+        toolbar.append(runBtn, status);
+
+        const editor = document.createElement('textarea');
+        editor.className = 'editor';
+        editor.setAttribute('part', 'editor');
+        editor.spellcheck = false;
+        editor.value = this.getInitialCode();
+        editor.readOnly = this.hasAttribute('readonly');
+        editor.rows = Math.min(Math.max(editor.value.split('\n').length, 2), 20);
+        editor.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.run();
+            }
+        });
+
+        const output = document.createElement('div');
+        output.className = 'output';
+        output.setAttribute('part', 'output');
+        output.setAttribute('aria-live', 'polite');
+        output.hidden = true;
+
+        this.shadowRoot.append(style, toolbar, editor, output);
+        this.elements = { runBtn, status, editor, output };
+
+        this.applyHeight();
+        this.updateLabels();
+    }
+
+    /**
+     * 表示言語に合わせたラベルの更新
+     * @private
+     */
+    updateLabels() {
+        const { runBtn, editor } = this.elements;
+        runBtn.textContent = `▶ ${t('embed.run')}`;
+        runBtn.title = t('embed.runLabel');
+        editor.setAttribute('aria-label', t('editor.inputLabel'));
+    }
+
+    /**
+     * height属性をエディタの高さに反映
+     * @private
+     */
+    applyHeight() {
+        const height = this.getAttribute('height');
+        this.elements.editor.style.height = !height ? '' : (/^\d+$/.test(height) ? `${height}px` : height);
+    }
+
+    /**
+     * 数値の属性の取得
+     * @private
+     * @param {string} name - 属性名
+     * @returns {number|undefined}
+     */
+    getNumberAttribute(name) {
+        const value = Number(this.getAttribute(name));
+        return value > 0 ? value : undefined;
+    }
+
+    /**
+     * コードの実行
+     * 他の要素が実行中なら順番を待つ
+     * @returns {Promise<WebRPlayground.ExecutionResult|null>} 実行できなかった場合はnull
+     */
+    async run() {
+        if (this.running || !this.elements) {
+            return null;
+        }
+
+        const code = this.elements.editor.value;
+        if (!code.trim()) {
+            return null;
+        }
+
+        this.running = true;
+        this.elements.runBtn.disabled = true;
+        this.clearOutput();
+        this.setStatus(servicePromise ? t('embed.waiting') : t('embed.loading'));
+
+        try {
+            const result = await enqueue(async () => {
+                const service = await getService();
+                this.session ??= await service.createSession();
+
+                this.setStatus(t('embed.running'));
+                return await service.executeCode(code, {
+                    session: this.session,
+                    plotWidth: this.getNumberAttribute('plot-width'),
+                    plotHeight: this.getNumberAttribute('plot-height'),
+                    onOutput: (entry) => this.appendEntry(entry)
+                });
+            });
+
+            this.showResult(result);
+            this.dispatchEvent(new CustomEvent('webr-result', { detail: result }));
+            return result;
+        } catch (error) {
+            console.error('埋め込みの実行エラー:', error);
+            this.appendText('error', t('common.errorPrefix', { message: error.message }));
+            this.setStatus('');
+            return null;
+        } finally {
+            this.running = false;
+            this.elements.runBtn.disabled = false;
+        }
+    }
+
+    /**
+     * 実行結果の要約の表示
+     * 出力本体は実行中に表示済み
+     * @private
+     * @param {WebRPlayground.ExecutionResult} result - 実行結果
+     */
+    showResult(result) {
+        const entries = result.entries || [];
+
+        if (!result.success && !entries.some(entry => entry.type === 'error')) {
+            this.appendText('error', result.interrupted
+                ? result.error
+                : t('common.errorPrefix', { message: result.error || t('output.unknownError') }));
+        } else if (result.success && entries.length === 0) {
+            this.appendText('message', t('output.none'));
+        }
+
+        this.setStatus(result.executionTime !== undefined
+            ? t('output.executionTime', { ms: result.executionTime })
+            : '');
+    }
+
+    /**
+     * 出力エントリの追加
+     * @private
+     * @param {WebRPlayground.OutputEntry} entry - 出力
+     */
+    appendEntry(entry) {
+        switch (entry.type) {
+            case 'plot':
+                this.renderPlot(entry);
+                break;
+            case 'error':
+                this.appendText('error', formatRError(entry.detail));
+                break;
+            case 'help':
+                // ヘルプビューアがないため、トピック名だけを示す
+                this.appendText('message', `?${entry.topic}`);
+                break;
+            default:
+                this.appendText(entry.type, entry.text);
+        }
+    }
+
+    /**
+     * テキストの追加（同じ種類が続く場合は同じブロックに追記する）
+     * @private
+     * @param {string} type - 出力の種類
+     * @param {string} text - テキスト
+     */
+    appendText(type, text) {
+        const output = this.elements.output;
+        output.hidden = false;
+
+        const last = output.lastElementChild;
+        if (last && last.tagName === 'PRE' && last.dataset.type === type) {
+            last.textContent += `\n${text}`;
+            return;
+        }
+
+        const pre = document.createElement('pre');
+        pre.className = type;
+        pre.dataset.type = type;
+        pre.textContent = text;
+        output.appendChild(pre);
+    }
+
+    /**
+     * プロットの描画（同じページへの追記は同じキャンバスを描き直す）
+     * @private
+     * @param {WebRPlayground.OutputEntry} entry - プロットのエントリ
+     */
+    renderPlot(entry) {
+        let canvas = this.plotElements.get(entry);
+
+        if (!canvas) {
+            canvas = document.createElement('canvas');
+            canvas.setAttribute('part', 'plot');
+            this.plotElements.set(entry, canvas);
+            this.elements.output.appendChild(canvas);
+            this.elements.output.hidden = false;
+        }
+
+        canvas.width = entry.image.width;
+        canvas.height = entry.image.height;
+        canvas.getContext('2d').drawImage(entry.image, 0, 0);
+    }
+
+    /**
+     * 出力の消去
+     * @private
+     */
+    clearOutput() {
+        this.elements.output.innerHTML = '';
+        this.elements.output.hidden = true;
+        this.plotElements.clear();
+    }
+
+    /**
+     * 状態の表示
+     * @private
+     * @param {string} text - 表示する文字列
+     */
+    setStatus(text) {
+        this.elements.status.textContent = text;
+    }
+}
+
+// 表示言語はページを開いた人の設定に合わせる
+setLocale(detectLocale(), { persist: false });
+
+if (!customElements.get('webr-playground')) {
+    customElements.define('webr-playground', WebRPlaygroundElement);
+}
+
+// デフォルトエクスポート
+export default WebRPlaygroundElement;
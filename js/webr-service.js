@@ -3,7 +3,435 @@
  * @module webr-service
  */
 
-import { WebR } from 'https://webr.r-wasm.org/latest/webr.mjs';
+import { describeData } from './r-data.js';
+import { t } from './i18n.js';
+
+/** webRランタイムの既定の配置場所 */
+export const DEFAULT_WEBR_BASE_URL = 'https://webr.r-wasm.org/';
+
+/** 既定で使うwebRのバージョン（デプロイのたびに "latest" へ追従しないよう固定する） */
+export const DEFAULT_WEBR_VERSION = 'v0.4.2';
+
+/**
+ * webRランタイムのディレクトリのURLを求める
+ * @param {string} baseUrl - 配置場所（ページからの相対パスも可）
+ * @param {string} [version] - バージョンのディレクトリ名（空ならbaseUrlそのものを使う）
+ * @returns {string} 末尾が「/」の絶対URL
+ */
+export function resolveRuntimeUrl(baseUrl, version) {
+    const directory = baseUrl.replace(/\/?$/, '/') + (version ? `${version.replace(/^\/|\/$/g, '')}/` : '');
+    return new URL(directory, globalThis.document?.baseURI).href;
+}
+
+/**
+ * 条件（メッセージ・警告）を標準エラーで送る際の区切り文字
+ * R側では "\037種類\037本文" の1行として出力し、本文中の改行は "\036" に置き換える
+ */
+const CONDITION_MARKER = '\u001f';
+const CONDITION_NEWLINE = '\u001e';
+
+/** エラーの詳細の項目（メッセージ・呼び出し・行・トレースバック）の区切り文字 */
+const ERROR_FIELD_SEPARATOR = '\u001d';
+
+/**
+ * よくあるRのエラーメッセージに添えるヒント（メッセージキー）
+ * @type {Array<[RegExp, string]>}
+ */
+const ERROR_HINTS = [
+    [/^object '.*' not found/, 'hints.objectNotFound'],
+    [/^could not find function/, 'hints.functionNotFound'],
+    [/unexpected/, 'hints.syntaxError'],
+    [/argument is of length zero/, 'hints.lengthZero'],
+    [/missing value where TRUE\/FALSE needed/, 'hints.missingValue'],
+    [/incorrect number of dimensions/, 'hints.dimensions'],
+    [/non-numeric argument to binary operator/, 'hints.nonNumeric'],
+    [/subscript out of bounds/, 'hints.outOfBounds'],
+    [/^there is no package called/, 'hints.noPackage']
+];
+
+/**
+ * エラーメッセージに対応するヒントを取得
+ * @param {string} message - Rのエラーメッセージ
+ * @returns {string|null}
+ */
+export function getErrorHint(message) {
+    const hint = ERROR_HINTS.find(([pattern]) => pattern.test(message));
+    return hint ? t(hint[1]) : null;
+}
+
+/**
+ * プロットのテーマごとの背景色（bg）と前景色（fg）
+ * ダークはページのダークテーマのパネルの色に合わせる
+ */
+const PLOT_COLORS = {
+    light: { bg: 'white', fg: 'black' },
+    dark: { bg: '#2d2d2d', fg: '#e0e0e0' }
+};
+
+/**
+ * エラーをRのコンソールと同じ形式で表す
+ * @param {WebRPlayground.ErrorDetail} detail - エラーの詳細
+ * @returns {string}
+ */
+export function formatRError(detail) {
+    return detail.call ? `Error in ${detail.call} : ${detail.message}` : `Error: ${detail.message}`;
+}
+
+/**
+ * 実行用のRヘルパー関数
+ * 検索パス上の "webr_playground" 環境に定義し、グローバル環境を汚さない
+ */
+const PLAYGROUND_R_HELPERS = `
+local({
+    marker <- "\\037"
+
+    emit <- function(type, text) {
+        text <- sub("\\n$", "", paste(text, collapse = "\\n"))
+        cat(marker, type, marker, gsub("\\n", "\\036", text, fixed = TRUE), "\\n",
+            sep = "", file = stderr())
+    }
+
+    # 実行ループ自身の呼び出しはユーザーに見せない
+    user_call <- function(call) {
+        if (is.null(call) || identical(call[[1]], quote(eval))) NULL else call
+    }
+
+    format_warning <- function(w) {
+        call <- user_call(conditionCall(w))
+        if (is.null(call)) {
+            paste("Warning:", conditionMessage(w))
+        } else {
+            paste0("Warning in ", deparse(call, nlines = 1), " : ", conditionMessage(w))
+        }
+    }
+
+    # ヘルプはコンソールに表示せず、トピックとファイルのパスをビューアへ送る
+    show_value <- function(value) {
+        if (inherits(value, "help_files_with_topic") && length(value) > 0) {
+            topic <- attr(value, "topic")
+            emit("help", c(if (is.null(topic)) "" else topic, as.character(value)))
+        } else {
+            print(value)
+        }
+    }
+
+    # 実行ループより内側の呼び出し（ユーザーのコードのフレーム）を取り出す
+    # webR自身の評価にも同じ形の呼び出しがあるため、最も内側のものを探す
+    user_frames <- function(calls) {
+        start <- Position(function(call) identical(deparse(call), "eval(expr, envir = envir)"), calls, right = TRUE)
+        if (is.na(start)) return(list())
+        calls <- calls[-seq_len(start)]
+
+        # 末尾のハンドラ自身と、エラーを通知するための内部の呼び出しは除く
+        calls <- calls[-length(calls)]
+        internal <- Position(function(call) identical(call[[1]], quote(.handleSimpleError)), calls)
+        if (!is.na(internal)) calls <- calls[seq_len(internal - 1)]
+        calls
+    }
+
+    # エラーのメッセージ・呼び出し・開始行・トレースバックを送る
+    emit_error <- function(e, line, calls, call = user_call(conditionCall(e))) {
+        frames <- vapply(calls, function(call) deparse(call, nlines = 1)[1], "")
+        emit("error_detail", paste(c(
+            conditionMessage(e),
+            if (is.null(call)) "" else deparse(call, nlines = 1)[1],
+            if (is.na(line)) "" else line,
+            frames
+        ), collapse = "\\035"))
+    }
+
+    run_code <- function(code, width, height, bg, fg, plot_file, envir) {
+        exprs <- withCallingHandlers(parse(text = code, keep.source = TRUE), error = function(e) {
+            # 構文エラーの位置は "<text>:行:列: ..." の形でメッセージに含まれる
+            parts <- strsplit(conditionMessage(e), ":", fixed = TRUE)[[1]]
+            line <- if (length(parts) > 1 && parts[1] == "<text>") suppressWarnings(as.integer(parts[2])) else NA
+            emit_error(e, line, list(), call = NULL)
+        })
+        refs <- attr(exprs, "srcref")
+
+        # ファイル名の指定があればcanvasの代わりにPNGへ書き出す（Node.jsなどcanvasのない環境向け）
+        if (nzchar(plot_file)) {
+            dir.create(dirname(plot_file), recursive = TRUE, showWarnings = FALSE)
+            grDevices::png(plot_file, width = width, height = height, bg = bg)
+        } else {
+            webr::canvas(width = width, height = height, bg = bg)
+        }
+        device <- grDevices::dev.cur()
+        on.exit(if (device %in% grDevices::dev.list()) grDevices::dev.off(device), add = TRUE)
+
+        # 軸・ラベル・タイトルの色をテーマの前景色に揃える
+        graphics::par(fg = fg, col = fg, col.axis = fg, col.lab = fg, col.main = fg, col.sub = fg)
+
+        for (i in seq_along(exprs)) {
+            expr <- exprs[[i]]
+            withCallingHandlers({
+                result <- withVisible(eval(expr, envir = envir))
+                if (result$visible) show_value(result$value)
+            },
+            error = function(e) {
+                line <- if (is.null(refs)) NA else refs[[i]][1]
+                emit_error(e, line, user_frames(sys.calls()))
+            },
+            message = function(m) {
+                emit("message", conditionMessage(m))
+                invokeRestart("muffleMessage")
+            },
+            warning = function(w) {
+                emit("warning", format_warning(w))
+                invokeRestart("muffleWarning")
+            })
+        }
+
+        invisible(NULL)
+    }
+
+    # エラーはハンドラで詳細を送ったうえでここで止め、最後まで実行できたか（TRUE/FALSE）を返す
+    # トップレベルまで伝えると、Rの "Error: ..." が標準エラーに重ねて出力される
+    run <- function(code, width, height, bg = "white", fg = "black", plot_file = "", envir = globalenv()) {
+        tryCatch({
+            run_code(code, width, height, bg, fg, plot_file, envir)
+            TRUE
+        }, error = function(e) FALSE)
+    }
+
+    # 構文の状態: 完全な式 / 入力途中 / 構文エラー
+    parse_status <- function(lines) {
+        tryCatch({
+            parse(text = lines, keep.source = FALSE)
+            "complete"
+        }, error = function(e) {
+            incomplete <- grepl("unexpected end of input|INCOMPLETE_STRING", conditionMessage(e))
+            if (incomplete) "incomplete" else "invalid"
+        })
+    }
+
+    # カーソル行を含む最上位の式（関数の本体やループの中ならその全体）の開始行・終了行を探す
+    # スクリプト全体を解析できれば解析データの最上位の式（parent == 0）から求める
+    expression_at <- function(lines, cursor) {
+        exprs <- tryCatch(parse(text = lines, keep.source = TRUE), error = function(e) NULL)
+        if (!is.null(exprs)) {
+            data <- utils::getParseData(exprs)
+            top <- if (is.null(data)) data.frame() else data[data$parent == 0 & data$line1 <= cursor & data$line2 >= cursor, ]
+            if (nrow(top) > 0) return(c(min(top$line1), max(top$line2)))
+            # 空行・コメントの行
+            return(c(cursor, cursor))
+        }
+
+        # 解析できない（他の場所が書きかけの）場合は、カーソル行から下へ伸ばし、
+        # 式の途中（閉じ括弧の行など）なら開始行を上へ戻す
+        for (from in seq(cursor, max(1, cursor - 200))) {
+            for (to in seq(cursor, length(lines))) {
+                status <- parse_status(lines[from:to])
+                if (status == "complete") return(c(from, to))
+                if (status == "invalid") break
+            }
+        }
+        c(cursor, cursor)
+    }
+
+    # 関数の引数一覧を短い形式で表す
+    signature <- function(name, f) {
+        params <- formals(args(f))
+        parts <- vapply(seq_along(params), function(i) {
+            default <- paste(deparse(params[[i]], width.cutoff = 500L), collapse = " ")
+            if (nzchar(default)) paste(names(params)[i], "=", default) else names(params)[i]
+        }, "")
+        text <- paste0(name, "(", paste(parts, collapse = ", "), ")")
+        if (nchar(text) > 120) paste0(substr(text, 1, 117), "...") else text
+    }
+
+    # 補完候補の種類と説明
+    describe_completion <- function(completion, is_file) {
+        if (is_file) return(c("file", ""))
+        if (endsWith(trimws(completion), "=")) return(c("argument", ""))
+        if (endsWith(completion, "::")) return(c("package", ""))
+
+        expr <- tryCatch(str2lang(completion), error = function(e) NULL)
+        if (!is.name(expr) && !is.call(expr)) return(c("keyword", ""))
+
+        value <- tryCatch(eval(expr, globalenv()), error = function(e) NULL)
+        if (is.function(value)) return(c("function", signature(completion, value)))
+        if (is.null(value)) return(c("object", ""))
+
+        dims <- dim(value)
+        size <- if (is.null(dims)) length(value) else paste(dims, collapse = " x ")
+        c("object", paste0(class(value)[1], " [", size, "]"))
+    }
+
+    # utilsの補完機構でカーソル位置の候補を求める
+    complete <- function(line, cursor) {
+        utils:::.assignLinebuffer(line)
+        utils:::.assignEnd(cursor)
+        token <- utils:::.guessTokenFromLine()
+        utils:::.completeToken()
+
+        completions <- utils::head(utils:::.retrieveCompletions(), 100)
+        start <- utils:::.CompletionEnv[["start"]]
+
+        # 語の直前が引用符なら文字列の中、つまりファイル名の補完（区切りの重複はまとめる）
+        is_file <- start > 0 && substr(line, start, start) %in% c('"', "'")
+        if (is_file) completions <- unique(gsub("/{2,}", "/", completions))
+        info <- vapply(completions, describe_completion, c("", ""), is_file = is_file, USE.NAMES = FALSE)
+
+        list(
+            token = token,
+            start = start,
+            items = list(name = completions, type = info[1, ], signature = info[2, ])
+        )
+    }
+
+    # ヘルプページをHTMLと実行できる例に変換する
+    help_page <- function(topic = NULL, package = NULL, path = NULL) {
+        if (is.null(path)) {
+            args <- list(topic)
+            if (!is.null(package)) args$package <- package
+            path <- as.character(do.call(utils::help, args))
+        }
+        if (length(path) == 0) return(list(found = FALSE))
+
+        path <- path[1]
+        package <- basename(dirname(dirname(path)))
+        rd <- utils:::.getHelpFile(path)
+
+        html_file <- tempfile(fileext = ".html")
+        example_file <- tempfile(fileext = ".R")
+        on.exit(unlink(c(html_file, example_file)), add = TRUE)
+
+        tools::Rd2HTML(rd, out = html_file, package = package, dynamic = TRUE)
+        tools::Rd2ex(rd, out = example_file)
+
+        read_text <- function(file) {
+            if (!file.exists(file)) return("")
+            paste(readLines(file, warn = FALSE, encoding = "UTF-8"), collapse = "\n")
+        }
+
+        list(
+            found = TRUE,
+            topic = basename(path),
+            package = package,
+            html = read_text(html_file),
+            examples = read_text(example_file)
+        )
+    }
+
+    # インストール済みパッケージのヘルプトピックの一覧
+    help_topics <- function() {
+        rows <- lapply(.packages(all.available = TRUE), function(package) {
+            index <- tryCatch(
+                readRDS(system.file("Meta", "Rd.rds", package = package)),
+                error = function(e) NULL
+            )
+            if (is.null(index) || nrow(index) == 0) return(NULL)
+            data.frame(
+                package = package,
+                topic = index$Name,
+                title = index$Title,
+                aliases = vapply(index$Aliases, paste, "", collapse = "\\t"),
+                stringsAsFactors = FALSE
+            )
+        })
+        as.list(do.call(rbind, rows))
+    }
+
+    # 埋め込み（<webr-playground>）ごとの評価環境
+    sessions <- new.env()
+
+    session_env <- function(id) {
+        if (!exists(id, envir = sessions, inherits = FALSE)) {
+            assign(id, new.env(parent = globalenv()), envir = sessions)
+        }
+        get(id, envir = sessions, inherits = FALSE)
+    }
+
+    drop_session <- function(id) {
+        if (exists(id, envir = sessions, inherits = FALSE)) rm(list = id, envir = sessions)
+        invisible(NULL)
+    }
+
+    # 文字列の中ではファイル名を補完する
+    try(utils::rc.settings(files = TRUE), silent = TRUE)
+
+    helpers <- attach(NULL, name = "webr_playground")
+    assign(".playground_run", run, envir = helpers)
+    assign(".playground_parse_status", parse_status, envir = helpers)
+    assign(".playground_expression_at", expression_at, envir = helpers)
+    assign(".playground_complete", complete, envir = helpers)
+    assign(".playground_help_page", help_page, envir = helpers)
+    assign(".playground_help_topics", help_topics, envir = helpers)
+    assign(".playground_session_env", session_env, envir = helpers)
+    assign(".playground_drop_session", drop_session, envir = helpers)
+})
+`;
+
+/**
+ * R内で使える名前としてバッククォートで囲む
+ * @param {string} name - オブジェクト名
+ * @returns {string}
+ */
+export function quoteRName(name) {
+    return '`' + name.replace(/\\/g, '\\\\').replace(/`/g, '\\`') + '`';
+}
+
+/**
+ * Rの文字列リテラルとして引用する
+ * JSONの文字列表現はRの文字列リテラルとしても有効
+ * @param {string} value - 文字列
+ * @returns {string}
+ */
+export function quoteRString(value) {
+    return JSON.stringify(String(value));
+}
+
+/**
+ * パッケージ名として有効な文字列
+ */
+const PACKAGE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9.]*[A-Za-z0-9]$/;
+
+/**
+ * DCF形式（PACKAGESファイル）をレコードの配列に変換
+ * @param {string} text - DCFテキスト
+ * @returns {Array<Object.<string, string>>}
+ */
+function parseDcf(text) {
+    return text.split(/\n\s*\n/).map(block => {
+        const record = {};
+        let lastKey = null;
+
+        block.split('\n').forEach(line => {
+            if (/^\s/.test(line) && lastKey) {
+                // 継続行
+                record[lastKey] += ' ' + line.trim();
+                return;
+            }
+
+            const index = line.indexOf(':');
+            if (index > 0) {
+                lastKey = line.substring(0, index);
+                record[lastKey] = line.substring(index + 1).trim();
+            }
+        });
+
+        return record;
+    }).filter(record => record.Package);
+}
+
+/**
+ * toJs()で得たデータフレームを行オブジェクトの配列に変換
+ * @param {{names: Array<string>, values: Array<{values: Array<any>}>}} frame - WebRData形式のリスト
+ * @returns {Array<Object>}
+ */
+function frameToRows(frame) {
+    const columns = frame.names.map((name, i) => [name, frame.values[i].values]);
+    const rowCount = columns.length > 0 ? columns[0][1].length : 0;
+
+    return Array.from({ length: rowCount }, (_, row) => {
+        const record = {};
+        columns.forEach(([name, values]) => {
+            record[name] = values[row];
+        });
+        return record;
+    });
+}
 
 /**
  * WebRサービスクラス
@@ -28,11 +456,40 @@ export class WebRService {
             maxOutputLength: 10000,
             plotWidth: 800,
             plotHeight: 600,
+            executionTimeout: 30000,
+            interruptGracePeriod: 3000,
+            homeDirectory: '/home/web_user',
+            packageRepoUrl: 'https://repo.r-wasm.org/',
+            packageInstallTimeout: 300000,
+            plotTheme: 'light',
+            webRBaseUrl: DEFAULT_WEBR_BASE_URL,
+            webRVersion: DEFAULT_WEBR_VERSION,
+            webRModule: null,
+            plotDevice: 'canvas',
+            plotDirectory: '/tmp/playground-plots',
             ...config
         };
 
+        /** @type {string} 読み込むwebRランタイムのディレクトリのURL */
+        this.runtimeUrl = resolveRuntimeUrl(this.config.webRBaseUrl, this.config.webRVersion);
+
+        /** @type {{webR: string, R: string}|null} 読み込んだwebRとRのバージョン */
+        this.versions = null;
+
         /** @type {AbortController|null} */
         this.currentExecution = null;
+
+        /** @type {number} 作成したセッションの数（セッションIDに使う） */
+        this.sessionCount = 0;
+
+        /** @type {Function|null} 実行中のコードの出力を受け取るリスナー */
+        this.outputListener = null;
+
+        /** @type {Array<WebRPlayground.PackageInfo>|null} リポジトリのパッケージ一覧（キャッシュ） */
+        this.packageIndex = null;
+
+        /** @type {Array<WebRPlayground.HelpTopic>|null} ヘルプトピックの一覧（キャッシュ） */
+        this.helpTopics = null;
     }
 
     /**
@@ -44,8 +501,13 @@ export class WebRService {
         try {
             console.log('WebR初期化開始...');
             
-            // WebRインスタンスの作成
-            this.webR = new WebR();
+            // WebRインスタンスの作成（ランタイムは設定された場所から読み込む）
+            // モジュールを指定した場合（Node.jsのnpmパッケージなど）はモジュール自身の配置場所を使う
+            const { WebR } = await import(this.config.webRModule || `${this.runtimeUrl}webr.mjs`);
+            this.webR = new WebR({
+                ...(this.config.webRModule ? {} : { baseUrl: this.runtimeUrl }),
+                repoUrl: this.config.packageRepoUrl
+            });
             await this.webR.init();
             
             // Shelterの作成（隔離された実行環境）
@@ -53,13 +515,19 @@ export class WebRService {
             
             // 初期設定
             await this.setupEnvironment();
+            this.versions = await this.readVersions();
+            
+            // 標準出力・標準エラーの受信を開始
+            // 起動時の出力（Rのバナーなど）を読み捨ててから実行を受け付ける
+            this.startOutputLoop();
+            await this.drainOutput();
             
             this.ready = true;
             console.log('WebR初期化完了');
         } catch (error) {
             console.error('WebR初期化エラー:', error);
             this.ready = false;
-            throw new Error(`WebR初期化に失敗しました: ${error.message}`);
+            throw new Error(t('errors.initFailed', { message: error.message }));
         }
     }
 
@@ -69,187 +537,712 @@ export class WebRService {
      * @returns {Promise<void>}
      */
     async setupEnvironment() {
+        // 実行ループが依存するため、失敗した場合は初期化エラーとする
+        await this.webR.evalRVoid(PLAYGROUND_R_HELPERS);
+
         try {
             // プロットサイズの設定
             await this.shelter.captureR(`
                 options(width = 80)
                 options(digits = 7)
+                # 警告を遅延させずにその場で出力する
+                options(warn = 1)
+                # パッケージリポジトリ
+                options(repos = c(CRAN = repo), webr_pkg_repos = repo)
                 # 日本語対応の設定
                 Sys.setlocale("LC_ALL", "C")
-            `);
+            `, {
+                env: { repo: this.config.packageRepoUrl }
+            });
         } catch (error) {
             console.warn('環境設定中の警告:', error);
         }
     }
 
+    /**
+     * 読み込んだwebRとRのバージョンを取得
+     * @private
+     * @returns {Promise<{webR: string, R: string}|null>}
+     */
+    async readVersions() {
+        try {
+            return {
+                webR: await this.webR.evalRString('as.character(utils::packageVersion("webr"))'),
+                R: await this.webR.evalRString('paste(R.version$major, R.version$minor, sep = ".")')
+            };
+        } catch (error) {
+            console.warn('バージョンの取得に失敗しました:', error);
+            return null;
+        }
+    }
+
+    /**
+     * WebRの出力キューを読み続ける
+     * 実行中のコードの出力はoutputListenerに逐次渡す
+     * @private
+     */
+    async startOutputLoop() {
+        const webR = this.webR;
+
+        // セッションが再起動された場合は古いループを終了する
+        while (this.webR === webR) {
+            let message;
+            try {
+                message = await webR.read();
+            } catch (error) {
+                console.warn('出力の読み取りに失敗しました:', error);
+                return;
+            }
+
+            if (message.type === 'closed') {
+                return;
+            }
+
+            if (this.outputListener) {
+                this.outputListener(message);
+            }
+        }
+    }
+
+    /**
+     * 出力ストリームを作成
+     * WebRの出力メッセージを種類付きの出力エントリに変換して発生順に蓄積し、
+     * 上限に達するまでコールバックへ逐次転送する
+     * @private
+     * @param {Function} [onOutput] - 出力ごとに呼ばれるコールバック
+     * @returns {{entries: Array<WebRPlayground.OutputEntry>, images: Array<ImageBitmap>, handle: Function, pushText: Function}}
+     */
+    createOutputStream(onOutput) {
+        const entries = [];
+        const images = [];
+        let length = 0;
+        let truncated = false;
+        let currentPlot = null;
+
+        const emit = (entry) => {
+            if (onOutput) {
+                try {
+                    onOutput(entry);
+                } catch (error) {
+                    console.error('出力コールバックエラー:', error);
+                }
+            }
+        };
+
+        const pushText = (type, text) => {
+            if (truncated) {
+                return;
+            }
+
+            // 空行だけのエントリは作らない（割り込み時にRが標準エラーへ送る改行など）
+            const last = entries[entries.length - 1];
+            const continues = last && last.type === type && (type === 'stdout' || type === 'stderr');
+            if (text === '' && !continues) {
+                return;
+            }
+
+            length += text.length + 1;
+
+            if (length > this.config.maxOutputLength) {
+                truncated = true;
+                emit({ type: 'stderr', text: t('run.outputLimited') });
+                return;
+            }
+
+            // 連続する標準出力・標準エラーの行はひとつのエントリにまとめる
+            if (continues) {
+                last.text += '\n' + text;
+            } else {
+                entries.push({ type, text });
+            }
+
+            emit({ type, text });
+        };
+
+        const handlePlot = (data) => {
+            if (data.event === 'canvasNewPage') {
+                currentPlot = null;
+                return;
+            }
+
+            if (data.event !== 'canvasImage') {
+                return;
+            }
+
+            // 同じページへの追記（lines, abline等）は既存のプロットを更新する
+            if (currentPlot) {
+                currentPlot.image = data.image;
+                images[images.length - 1] = data.image;
+            } else {
+                currentPlot = { type: 'plot', image: data.image };
+                entries.push(currentPlot);
+                images.push(data.image);
+            }
+
+            emit(currentPlot);
+        };
+
+        const handle = (message) => {
+            if (message.type === 'canvas') {
+                handlePlot(message.data);
+                return;
+            }
+
+            if (message.type !== 'stdout' && message.type !== 'stderr') {
+                return;
+            }
+
+            const line = String(message.data);
+
+            // R側のハンドラが送ったメッセージ・警告
+            if (message.type === 'stderr' && line.startsWith(CONDITION_MARKER)) {
+                const end = line.indexOf(CONDITION_MARKER, 1);
+                const type = line.substring(1, end);
+                const parts = line.substring(end + 1).split(CONDITION_NEWLINE);
+
+                // エラーの詳細は実行の失敗時にまとめてエラーのエントリにする
+                if (type === 'error_detail') {
+                    const [message, call, line, ...traceback] = parts.join('\n').split(ERROR_FIELD_SEPARATOR);
+                    stream.errorDetail = {
+                        message,
+                        call: call || null,
+                        line: line ? Number(line) : null,
+                        traceback
+                    };
+                    return;
+                }
+
+                // ヘルプの要求は本文を持たないエントリとして渡す
+                if (type === 'help') {
+                    const [topic, ...paths] = parts;
+                    const entry = { type, topic, paths };
+                    entries.push(entry);
+                    emit(entry);
+                    return;
+                }
+
+                pushText(type, parts.join('\n'));
+                return;
+            }
+
+            pushText(message.type, line);
+        };
+
+        const pushError = (detail) => {
+            const entry = { type: 'error', text: detail.message, detail };
+            entries.push(entry);
+            emit(entry);
+        };
+
+        const stream = { entries, images, handle, pushText, pushError, errorDetail: null };
+        return stream;
+    }
+
+    /**
+     * 出力キューに残っているメッセージの配信を待つ
+     * @private
+     * @returns {Promise<void>}
+     */
+    drainOutput() {
+        // 出力の読み取りはマイクロタスクで進むため、マクロタスク1回分待てば追いつく
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+
     /**
      * Rコードを実行
      * @param {string} code - 実行するRコード
+     * @param {Object} [options] - 実行オプション
+     * @param {function(WebRPlayground.OutputEntry): void} [options.onOutput] - 出力を逐次受け取るコールバック
+     * @param {number} [options.timeout] - 実行時間の上限（ミリ秒、省略時は設定値）
+     * @param {WebRPlayground.Session} [options.session] - 実行するセッション（省略時はグローバル環境）
+     * @param {number} [options.plotWidth] - プロットの幅（省略時は設定値）
+     * @param {number} [options.plotHeight] - プロットの高さ（省略時は設定値）
      * @returns {Promise<WebRPlayground.ExecutionResult>}
      */
-    async executeCode(code) {
+    async executeCode(code, options = {}) {
         if (!this.ready) {
-            throw new Error('WebRが初期化されていません');
+            throw new Error(t('errors.notInitialized'));
+        }
+
+        // 出力キューは共有のため、同時に実行できるのは1つまで
+        if (this.isExecuting()) {
+            return {
+                success: false,
+                error: t('run.busy')
+            };
         }
 
         if (!code || !code.trim()) {
             return {
                 success: false,
-                error: 'コードが入力されていません'
+                error: t('run.noCode')
             };
         }
 
         const startTime = performance.now();
 
+        // 実行中の処理をキャンセル可能にする
+        const execution = new AbortController();
+        this.currentExecution = execution;
+
+        // 実行時間の上限（0以下なら無制限）
+        execution.timeout = options.timeout ?? this.config.executionTimeout;
+        const timeoutId = execution.timeout > 0
+            ? setTimeout(() => this.cancelExecution('timeout'), execution.timeout)
+            : null;
+
+        const interruption = this.waitForInterrupt(execution);
+
+        // 出力とプロットは出力キュー経由で発生順に受け取る
+        const stream = this.createOutputStream(options.onOutput);
+        this.outputListener = stream.handle;
+
+        let shelter = null;
+
         try {
-            // 実行中の処理をキャンセル可能にする
-            this.currentExecution = new AbortController();
-            
-            // コードの実行
-            const result = await this.shelter.captureR(code, {
-                withAutoprint: true,
-                captureStreams: true,
-                captureConditions: true,
-                captureGraphics: {
-                    width: this.config.plotWidth,
-                    height: this.config.plotHeight
-                }
-            });
+            shelter = options.session ? await this.prepareSession(options.session) : this.shelter;
+
+            // コードの実行（中断された場合はinterruptionが先に決着する）
+            // ストリーム・条件・グラフィックスを捕捉せず、R側の実行ループから逐次送らせる
+            // Rのエラーでは拒否されないため、成否は実行ループの戻り値で判定する
+            const capture = await Promise.race([
+                shelter.captureR(`.playground_run(code, width, height, bg, fg, plot_file,
+                    envir = if (nzchar(session)) .playground_session_env(session) else globalenv())`, {
+                    env: {
+                        code,
+                        session: options.session?.id || '',
+                        width: options.plotWidth || this.config.plotWidth,
+                        height: options.plotHeight || this.config.plotHeight,
+                        ...(PLOT_COLORS[this.config.plotTheme] || PLOT_COLORS.light),
+                        plot_file: this.config.plotDevice === 'png' ? `${this.config.plotDirectory}/plot-%03d.png` : ''
+                    },
+                    withAutoprint: false,
+                    captureStreams: false,
+                    captureConditions: false,
+                    captureGraphics: false
+                }),
+                interruption.promise
+            ]);
+
+            await this.drainOutput();
+            await this.collectPlotFiles(stream);
 
             const executionTime = performance.now() - startTime;
 
+            // 割り込みでRが途中終了した場合
+            if (execution.signal.aborted) {
+                return this.createInterruptedResult(execution, executionTime, stream);
+            }
+
+            const completed = await capture.result.toBoolean();
+
+            if (!completed) {
+                return this.createErrorResult(stream, this.createErrorDetail(new Error(t('run.unknownError')), stream.errorDetail), executionTime);
+            }
+
             // 出力の処理
-            const output = this.formatOutput(result.output);
+            const output = this.formatOutput(stream.entries);
             
             // 結果の返却
             return {
                 success: true,
                 output: this.truncateOutput(output),
-                images: result.images || [],
+                entries: stream.entries,
+                images: stream.images,
                 executionTime: Math.round(executionTime)
             };
 
         } catch (error) {
+            await this.drainOutput();
+            if (!execution.sessionRestarted) {
+                await this.collectPlotFiles(stream);
+            }
+
             const executionTime = performance.now() - startTime;
+
+            if (execution.signal.aborted) {
+                return this.createInterruptedResult(execution, executionTime, stream);
+            }
             
-            // エラーの種類を判定
-            const errorMessage = this.formatError(error);
-            
-            return {
-                success: false,
-                error: errorMessage,
-                executionTime: Math.round(executionTime)
-            };
+            // R側から届いた詳細があればそれを使い、メッセージは加工せずに返す
+            return this.createErrorResult(stream, this.createErrorDetail(error, stream.errorDetail), executionTime);
         } finally {
+            clearTimeout(timeoutId);
+            interruption.dispose();
+            this.outputListener = null;
+
+            // 中断・失敗した場合も実行結果のRオブジェクトを解放する（再起動したセッションのShelterは破棄済み）
+            if (shelter && !execution.sessionRestarted) {
+                await shelter.purge().catch(error => console.warn('実行結果の解放に失敗しました:', error));
+            }
             this.currentExecution = null;
         }
     }
 
     /**
-     * 出力をフォーマット
-     * @private
-     * @param {Array} output - WebRの出力配列
-     * @returns {string}
+     * セッションの作成
+     * ひとつのRランタイムを共有しつつ、Shelterと評価環境（グローバル環境を親とする環境）を分ける
+     * @returns {Promise<WebRPlayground.Session>}
      */
-    formatOutput(output) {
-        if (!output || output.length === 0) {
-            return '';
+    async createSession() {
+        if (!this.ready) {
+            throw new Error(t('errors.notInitialized'));
         }
 
-        return output.map(item => {
-            if (typeof item === 'string') {
-                return item;
-            }
-            
-            if (typeof item === 'object' && item !== null) {
-                // stdout/stderr の処理
-                if (item.type === 'stdout' && item.data) {
-                    return item.data;
-                }
-                if (item.type === 'stderr' && item.data) {
-                    return `エラー: ${item.data}`;
-                }
-                if (item.type === 'warning' && item.data) {
-                    return `警告: ${item.data}`;
-                }
-                if (item.type === 'message' && item.data) {
-                    return `メッセージ: ${item.data}`;
-                }
-                
-                // 配列の場合
-                if (Array.isArray(item)) {
-                    return this.formatArray(item);
-                }
-                
-                // オブジェクトの場合
-                try {
-                    return JSON.stringify(item, null, 2);
-                } catch {
-                    return String(item);
-                }
-            }
-            
-            return String(item);
-        }).join('\n');
+        const session = { id: `session-${++this.sessionCount}`, shelter: null, webR: null };
+        await this.prepareSession(session);
+        return session;
     }
 
     /**
-     * 配列をフォーマット
+     * セッションのShelterを用意する
+     * Rセッションが再起動された後は新しいランタイムでShelterを作り直す（評価環境は空になる）
      * @private
-     * @param {Array} arr - 配列
-     * @returns {string}
+     * @param {WebRPlayground.Session} session - セッション
+     * @returns {Promise<any>} Shelter
      */
-    formatArray(arr) {
-        if (arr.length === 0) return '[]';
-        
-        // 数値配列の場合
-        if (arr.every(item => typeof item === 'number')) {
-            return `[${arr.join(', ')}]`;
-        }
-        
-        // 文字列配列の場合
-        if (arr.every(item => typeof item === 'string')) {
-            return arr.join('\n');
+    async prepareSession(session) {
+        if (session.webR !== this.webR) {
+            session.shelter = await new this.webR.Shelter();
+            session.webR = this.webR;
         }
-        
-        // 混合配列
-        return arr.map(item => String(item)).join('\n');
+        return session.shelter;
     }
 
     /**
-     * エラーメッセージをフォーマット
-     * @private
-     * @param {Error} error - エラーオブジェクト
-     * @returns {string}
+     * セッションの破棄
+     * @param {WebRPlayground.Session} session - セッション
+     * @returns {Promise<void>}
      */
-    formatError(error) {
-        if (error.message) {
-            // R特有のエラーメッセージを日本語化
-            let message = error.message;
-            
-            // よくあるエラーの翻訳
-            const errorTranslations = {
-                'object .* not found': 'オブジェクトが見つかりません',
-                'unexpected': '予期しない',
-                'Error in': 'エラー:',
-                'could not find function': '関数が見つかりません',
-                'argument is of length zero': '引数の長さがゼロです',
-                'missing value': '欠損値',
-                'invalid': '無効な',
-                'incorrect number of dimensions': '次元数が正しくありません'
+    async destroySession(session) {
+        if (session.webR !== this.webR || !this.webR) {
+            return;
+        }
+
+        try {
+            await this.webR.evalRVoid('.playground_drop_session(id)', { env: { id: session.id } });
+            await session.shelter.purge();
+        } catch (error) {
+            console.warn('セッションの破棄に失敗しました:', error);
+        }
+        session.shelter = null;
+        session.webR = null;
+    }
+
+    /**
+     * PNGデバイスに書き出されたプロットを出力に加える
+     * ページごとのファイルは実行のたびに読み込んで削除する（出力エントリの末尾に発生順で追加）
+     * @private
+     * @param {{entries: Array<WebRPlayground.OutputEntry>, images: Array<Uint8Array>}} stream - 出力ストリーム
+     * @returns {Promise<void>}
+     */
+    async collectPlotFiles(stream) {
+        if (this.config.plotDevice !== 'png') {
+            return;
+        }
+
+        try {
+            const paths = await this.webR.evalRRaw(
+                'sort(list.files(directory, pattern = "^plot-.*[.]png$", full.names = TRUE))',
+                'string[]',
+                { env: { directory: this.config.plotDirectory } }
+            );
+
+            for (const path of paths) {
+                const png = await this.webR.FS.readFile(path);
+                await this.webR.FS.unlink(path);
+                stream.entries.push({ type: 'plot', png });
+                stream.images.push(png);
+            }
+        } catch (error) {
+            console.warn('プロットのファイルの読み込みに失敗しました:', error);
+        }
+    }
+
+    /**
+     * コードが完全な式か判定
+     * @param {string} code - Rコード
+     * @returns {Promise<'complete'|'incomplete'|'invalid'>}
+     */
+    async checkSyntax(code) {
+        if (!this.ready) {
+            throw new Error(t('errors.notInitialized'));
+        }
+
+        return await this.webR.evalRString('.playground_parse_status(code)', {
+            env: { code }
+        });
+    }
+
+    /**
+     * 指定した行を含む完全な式の範囲を取得
+     * @param {Array<string>} lines - コードの各行
+     * @param {number} lineIndex - 行番号（0始まり）
+     * @returns {Promise<{startLine: number, endLine: number}>} 行番号（0始まり）
+     */
+    async findExpressionAt(lines, lineIndex) {
+        if (!this.ready) {
+            throw new Error(t('errors.notInitialized'));
+        }
+
+        try {
+            const range = await this.shelter.evalR('.playground_expression_at(lines, cursor)', {
+                env: { lines, cursor: lineIndex + 1 }
+            });
+            const [startLine, endLine] = (await range.toJs()).values;
+            return { startLine: startLine - 1, endLine: endLine - 1 };
+        } finally {
+            await this.shelter.purge();
+        }
+    }
+
+    /**
+     * カーソル位置の補完候補を取得
+     * @param {string} line - カーソルのある行
+     * @param {number} column - 行内のカーソル位置
+     * @returns {Promise<{token: string, start: number, items: Array<WebRPlayground.CompletionItem>}>}
+     *   start は置き換える語の行内の開始位置
+     */
+    async getCompletions(line, column) {
+        if (!this.ready) {
+            throw new Error(t('errors.notInitialized'));
+        }
+
+        try {
+            const result = await this.shelter.evalR('.playground_complete(line, cursor)', {
+                env: { line, cursor: column }
+            });
+            const { names, values } = await result.toJs();
+            const field = (name) => values[names.indexOf(name)];
+
+            return {
+                token: field('token').values[0],
+                start: field('start').values[0],
+                items: frameToRows(field('items'))
             };
+        } finally {
+            await this.shelter.purge();
+        }
+    }
 
-            for (const [pattern, translation] of Object.entries(errorTranslations)) {
-                const regex = new RegExp(pattern, 'i');
-                if (regex.test(message)) {
-                    message = message.replace(regex, translation);
-                }
+    /**
+     * ヘルプページの取得
+     * @param {Object} target - 表示するヘルプ
+     * @param {string} [target.topic] - トピック
+     * @param {string} [target.packageName] - パッケージ名（省略時は読み込み済みのパッケージから探す）
+     * @param {string} [target.path] - ヘルプファイルのパス（?topic の実行結果）
+     * @returns {Promise<WebRPlayground.HelpPage|null>} 見つからない場合はnull
+     */
+    async getHelpPage({ topic = null, packageName = null, path = null }) {
+        if (!this.ready) {
+            throw new Error(t('errors.notInitialized'));
+        }
+
+        // nullはRにNULLではなくNAとして渡るため、指定された引数だけを渡す
+        const env = Object.fromEntries(
+            Object.entries({ topic, package: packageName, path }).filter(([, value]) => value !== null)
+        );
+        const args = Object.keys(env).map(name => `${name} = ${name}`).join(', ');
+
+        try {
+            const result = await this.shelter.evalR(`.playground_help_page(${args})`, { env });
+            const { names, values } = await result.toJs();
+            const field = (name) => values[names.indexOf(name)]?.values[0];
+
+            if (!field('found')) {
+                return null;
             }
-            
-            return message;
+
+            return {
+                topic: field('topic'),
+                packageName: field('package'),
+                html: field('html'),
+                examples: field('examples')
+            };
+        } finally {
+            await this.shelter.purge();
         }
-        
-        return 'コードの実行中にエラーが発生しました';
+    }
+
+    /**
+     * インストール済みパッケージのヘルプトピックの一覧を取得
+     * 一覧の作成には時間がかかるため、パッケージをインストールするまでは結果を使い回す
+     * @returns {Promise<Array<WebRPlayground.HelpTopic>>}
+     */
+    async getHelpTopics() {
+        if (!this.ready) {
+            throw new Error(t('errors.notInitialized'));
+        }
+
+        if (this.helpTopics) {
+            return this.helpTopics;
+        }
+
+        try {
+            const frame = await this.shelter.evalR('.playground_help_topics()');
+            this.helpTopics = frameToRows(await frame.toJs()).map(row => ({
+                ...row,
+                aliases: row.aliases ? row.aliases.split('\t') : []
+            }));
+            return this.helpTopics;
+        } finally {
+            await this.shelter.purge();
+        }
+    }
+
+    /**
+     * 実行の中断を待機
+     * 割り込み後も猶予期間内にRが応答しない場合はセッションを再起動する
+     * @private
+     * @param {AbortController} execution - 実行の制御オブジェクト
+     * @returns {{promise: Promise<never>, dispose: Function}}
+     */
+    waitForInterrupt(execution) {
+        let graceTimer = null;
+        let onAbort = null;
+
+        const promise = new Promise((resolve, reject) => {
+            onAbort = () => {
+                graceTimer = setTimeout(async () => {
+                    // 破棄済みのサービスは再起動しない
+                    if (!this.webR) {
+                        reject(new Error('WebR has been destroyed'));
+                        return;
+                    }
+
+                    try {
+                        await this.restartSession();
+                    } catch (error) {
+                        console.error('セッション再起動エラー:', error);
+                    }
+                    execution.sessionRestarted = true;
+                    reject(new Error('R session restarted'));
+                }, this.config.interruptGracePeriod);
+            };
+            execution.signal.addEventListener('abort', onAbort, { once: true });
+        });
+
+        return {
+            promise,
+            dispose: () => {
+                clearTimeout(graceTimer);
+                execution.signal.removeEventListener('abort', onAbort);
+            }
+        };
+    }
+
+    /**
+     * 中断された実行の結果を作成
+     * @private
+     * @param {AbortController} execution - 実行の制御オブジェクト
+     * @param {number} executionTime - 実行時間
+     * @param {{entries: Array<WebRPlayground.OutputEntry>, images: Array<ImageBitmap>}} stream - 中断までの出力
+     * @returns {WebRPlayground.ExecutionResult}
+     */
+    createInterruptedResult(execution, executionTime, stream) {
+        const reason = ['timeout', 'superseded'].includes(execution.signal.reason) ? execution.signal.reason : 'user';
+        let message;
+        if (reason === 'timeout') {
+            message = t('run.timeout', { seconds: execution.timeout / 1000 });
+        } else if (reason === 'superseded') {
+            message = t('run.superseded');
+        } else {
+            message = t('run.interrupted');
+        }
+
+        if (execution.sessionRestarted) {
+            message += t('run.sessionRestarted');
+        }
+
+        return {
+            success: false,
+            interrupted: true,
+            reason,
+            sessionRestarted: Boolean(execution.sessionRestarted),
+            output: this.truncateOutput(this.formatOutput(stream.entries)),
+            entries: stream.entries,
+            images: stream.images,
+            error: message,
+            executionTime: Math.round(executionTime)
+        };
+    }
+
+    /**
+     * エラーで終了した実行の結果を作成
+     * エラーのエントリを出力の末尾に加える
+     * @private
+     * @param {{entries: Array<WebRPlayground.OutputEntry>, images: Array<ImageBitmap>, pushError: Function}} stream - エラーまでの出力
+     * @param {WebRPlayground.ErrorDetail} detail - エラーの詳細
+     * @param {number} executionTime - 実行時間
+     * @returns {WebRPlayground.ExecutionResult}
+     */
+    createErrorResult(stream, detail, executionTime) {
+        stream.pushError(detail);
+
+        return {
+            success: false,
+            output: this.truncateOutput(this.formatOutput(stream.entries)),
+            entries: stream.entries,
+            images: stream.images,
+            error: detail.message,
+            errorDetail: detail,
+            executionTime: Math.round(executionTime)
+        };
+    }
+
+    /**
+     * Rセッションを再起動
+     * 割り込みに応答しない場合の最終手段
+     * @private
+     * @returns {Promise<void>}
+     */
+    async restartSession() {
+        this.ready = false;
+
+        try {
+            if (this.webR) {
+                this.webR.close();
+            }
+        } catch (error) {
+            console.warn('WebR終了時の警告:', error);
+        }
+
+        this.webR = null;
+        this.shelter = null;
+
+        await this.initialize();
+    }
+
+    /**
+     * 出力エントリをテキストにまとめる
+     * プログラムからの呼び出し向けに、プロット以外をRのコンソールと同じ順序で連結する
+     * @private
+     * @param {Array<WebRPlayground.OutputEntry>} entries - 出力エントリ
+     * @returns {string}
+     */
+    formatOutput(entries) {
+        return entries
+            .filter(entry => entry.type !== 'plot' && entry.type !== 'help')
+            .map(entry => entry.type === 'error' ? formatRError(entry.detail) : entry.text)
+            .join('\n');
+    }
+
+    /**
+     * エラーの詳細を作成
+     * @private
+     * @param {Error} error - 実行が失敗したときのエラー
+     * @param {Object|null} reported - R側から届いたエラーの詳細
+     * @returns {WebRPlayground.ErrorDetail}
+     */
+    createErrorDetail(error, reported) {
+        const detail = reported || {
+            message: error.message || t('run.unknownError'),
+            call: null,
+            line: null,
+            traceback: []
+        };
+
+        return { ...detail, hint: getErrorHint(detail.message) };
     }
 
     /**
@@ -264,20 +1257,45 @@ export class WebRService {
         }
         
         const truncated = output.substring(0, this.config.maxOutputLength);
-        return truncated + '\n\n... (出力が長すぎるため省略されました)';
+        return truncated + '\n\n' + t('run.outputTruncated');
     }
 
     /**
      * 現在の実行をキャンセル
+     * Rに割り込みを送り、応答がなければセッションを再起動する
+     * @param {'user'|'timeout'|'superseded'} [reason='user'] - 中断理由（superseded は編集による再実行のため）
      * @returns {void}
      */
-    cancelExecution() {
-        if (this.currentExecution) {
-            this.currentExecution.abort();
-            this.currentExecution = null;
+    cancelExecution(reason = 'user') {
+        if (!this.currentExecution || this.currentExecution.signal.aborted) {
+            return;
+        }
+
+        this.currentExecution.abort(reason);
+
+        try {
+            this.webR.interrupt();
+        } catch (error) {
+            console.warn('割り込みの送信に失敗しました:', error);
         }
     }
 
+    /**
+     * コードを実行中か確認
+     * @returns {boolean}
+     */
+    isExecuting() {
+        return this.currentExecution !== null;
+    }
+
+    /**
+     * プロットのテーマの設定（次の実行から反映）
+     * @param {'light'|'dark'} theme - テーマ
+     */
+    setPlotTheme(theme) {
+        this.config.plotTheme = theme;
+    }
+
     /**
      * WebRの準備状態を確認
      * @returns {boolean}
@@ -288,75 +1306,215 @@ export class WebRService {
 
     /**
      * リソースをクリーンアップ
-     * @returns {void}
+     * Shelterのオブジェクトを解放してからwebRを終了する（終了後のwebRには要求を送れない）
+     * @returns {Promise<void>} webRの終了まで待つ場合に使う
      */
     destroy() {
+        const { webR, shelter } = this;
+
         try {
             this.cancelExecution();
-            
-            if (this.shelter) {
-                // Shelterの破棄は非同期だが、エラーを無視
-                this.shelter.destroy().catch(console.error);
-                this.shelter = null;
-            }
-            
-            this.webR = null;
-            this.ready = false;
         } catch (error) {
             console.error('クリーンアップエラー:', error);
         }
+
+        this.shelter = null;
+        this.webR = null;
+        this.ready = false;
+
+        if (!webR) {
+            return Promise.resolve();
+        }
+
+        // 解放のエラーは無視して終了する
+        return (shelter ? shelter.purge() : Promise.resolve())
+            .catch(console.error)
+            .finally(() => webR.close());
     }
 
     /**
      * データをRにロード
+     * 行オブジェクトの配列・列ごとのオブジェクトはデータフレーム、
+     * 値の配列・型付き配列はベクトル、文字列はCSVとして読み込む。
+     * null・undefined・NaNはNAになる
      * @param {string} variableName - R内の変数名
-     * @param {Array|Object} data - ロードするデータ
+     * @param {Array<Object>|Object.<string, Array<any>>|Array<any>|ArrayBufferView|string} data - ロードするデータ
+     * @param {Object} [options] - 変換オプション
+     * @param {'csv'} [options.format] - データの形式
+     * @param {Array<string>|Object.<string, Array<string>>} [options.factors] - 因子に変換する列（オブジェクトの場合は水準も指定）
+     * @param {{header?: boolean, sep?: string, naStrings?: Array<string>}} [options.csv] - CSVの読み込み設定
      * @returns {Promise<boolean>}
      */
-    async loadData(variableName, data) {
+    async loadData(variableName, data, options = {}) {
         if (!this.ready) {
-            throw new Error('WebRが初期化されていません');
+            throw new Error(t('errors.notInitialized'));
         }
 
         try {
-            // JSONデータをRに変換
-            const jsonString = JSON.stringify(data);
-            const code = `
-                library(jsonlite)
-                ${variableName} <- fromJSON('${jsonString}')
-            `;
-            
-            const result = await this.executeCode(code);
-            return result.success;
+            if (!variableName) {
+                throw new Error(t('errors.variableNameRequired'));
+            }
+
+            const description = describeData(data, options);
+            let value;
+
+            if (description.kind === 'csv') {
+                value = await this.readCsv(description.text, options.csv);
+            } else if (description.kind === 'vector') {
+                value = await this.createVector(description.column);
+            } else {
+                value = await this.createDataFrame(description.columns);
+            }
+
+            if (options.factors && description.kind !== 'vector') {
+                value = await this.convertFactors(value, options.factors);
+            }
+
+            // 文字列の埋め込みを経由せず、オブジェクトを直接束縛する
+            await this.webR.objs.globalEnv.bind(variableName, value);
+            return true;
         } catch (error) {
             console.error('データロードエラー:', error);
             return false;
+        } finally {
+            await this.shelter.purge();
         }
     }
 
     /**
-     * パッケージをインストール（WebRの制限により動作しない場合がある）
+     * 列をRのベクトルに変換
+     * @private
+     * @param {{type: string, values: Array<any>}} column - 列
+     * @returns {Promise<any>} RObject
+     */
+    async createVector(column) {
+        const { RDouble, RInteger, RLogical, RCharacter, RRaw } = this.shelter;
+
+        switch (column.type) {
+            case 'integer':
+                return await new RInteger(column.values);
+            case 'logical':
+                return await new RLogical(column.values);
+            case 'character':
+                return await new RCharacter(column.values);
+            case 'raw':
+                return await new RRaw(column.values);
+            case 'datetime':
+                return await this.shelter.evalR('as.POSIXct(x, origin = "1970-01-01", tz = "UTC")', {
+                    env: { x: await new RDouble(column.values) }
+                });
+            default:
+                return await new RDouble(column.values);
+        }
+    }
+
+    /**
+     * 列の集合をRのデータフレームに変換
+     * @private
+     * @param {Object.<string, {type: string, values: Array<any>}>} columns - 列
+     * @returns {Promise<any>} RObject
+     */
+    async createDataFrame(columns) {
+        const vectors = {};
+        for (const [name, column] of Object.entries(columns)) {
+            vectors[name] = await this.createVector(column);
+        }
+
+        return await this.shelter.evalR('as.data.frame(columns, stringsAsFactors = FALSE, optional = TRUE)', {
+            env: { columns: await new this.shelter.RList(vectors) }
+        });
+    }
+
+    /**
+     * CSVテキストをデータフレームとして読み込む
+     * @private
+     * @param {string} text - CSVテキスト
+     * @param {{header?: boolean, sep?: string, naStrings?: Array<string>}} [csvOptions] - 読み込み設定
+     * @returns {Promise<any>} RObject
+     */
+    async readCsv(text, csvOptions = {}) {
+        const { header = true, sep = ',', naStrings = ['', 'NA'] } = csvOptions;
+
+        return await this.shelter.evalR(`
+            utils::read.csv(text = text, header = header, sep = sep, na.strings = na,
+                            stringsAsFactors = FALSE, check.names = FALSE)
+        `, {
+            env: { text, header, sep, na: naStrings }
+        });
+    }
+
+    /**
+     * データフレームの列を因子に変換
+     * @private
+     * @param {any} frame - データフレーム（RObject）
+     * @param {Array<string>|Object.<string, Array<string>>} factors - 変換する列と水準
+     * @returns {Promise<any>} RObject
+     */
+    async convertFactors(frame, factors) {
+        const specs = Array.isArray(factors)
+            ? factors.map(name => [name, []])
+            : Object.entries(factors).map(([name, levels]) => [name, levels || []]);
+
+        const levels = {};
+        for (const [name, values] of specs) {
+            levels[name] = await new this.shelter.RCharacter(values);
+        }
+
+        // 水準が指定されていない列は出現値から水準を作る
+        return await this.shelter.evalR(`
+            for (name in names(levels)) {
+                if (!name %in% names(frame)) stop("column not found: ", name)
+                frame[[name]] <- if (length(levels[[name]]) > 0) {
+                    factor(frame[[name]], levels = levels[[name]])
+                } else {
+                    factor(frame[[name]])
+                }
+            }
+            frame
+        `, {
+            env: { frame, levels: await new this.shelter.RList(levels) }
+        });
+    }
+
+    /**
+     * パッケージをインストール
+     * 設定されたWebAssemblyパッケージリポジトリから依存関係ごと取得する
      * @param {string} packageName - パッケージ名
+     * @param {Object} [options] - インストールオプション
+     * @param {boolean} [options.load=false] - インストール後に読み込むか
+     * @param {function(WebRPlayground.OutputEntry): void} [options.onProgress] - 進捗の出力を受け取るコールバック
      * @returns {Promise<boolean>}
      */
-    async installPackage(packageName) {
+    async installPackage(packageName, options = {}) {
         if (!this.ready) {
-            throw new Error('WebRが初期化されていません');
+            throw new Error(t('errors.notInitialized'));
+        }
+
+        if (!PACKAGE_NAME_PATTERN.test(packageName)) {
+            console.error(`パッケージ名が正しくありません: ${packageName}`);
+            return false;
         }
 
         try {
-            const code = `
-                # WebRではパッケージインストールに制限があります
-                if (!require("${packageName}", quietly = TRUE)) {
-                    warning("パッケージ '${packageName}' は利用できません")
-                    FALSE
-                } else {
-                    message("パッケージ '${packageName}' が利用可能です")
-                    TRUE
+            const name = quoteRString(packageName);
+            let code = `
+                webr::install(${name}, repos = ${quoteRString(this.config.packageRepoUrl)})
+                if (!requireNamespace(${name}, quietly = TRUE)) {
+                    stop("package '", ${name}, "' is not available in the repository")
                 }
+                message("package '", ${name}, "' is installed")
             `;
+            if (options.load) {
+                code += `library(${name}, character.only = TRUE)\n`;
+            }
             
-            const result = await this.executeCode(code);
+            const result = await this.executeCode(code, {
+                onOutput: options.onProgress,
+                timeout: this.config.packageInstallTimeout
+            });
+            
+            // 新しいパッケージのヘルプを検索できるようにする
+            this.helpTopics = null;
             return result.success;
         } catch (error) {
             console.error('パッケージインストールエラー:', error);
@@ -364,6 +1522,267 @@ export class WebRService {
         }
     }
 
+    /**
+     * インストール済みのパッケージを読み込む
+     * @param {string} packageName - パッケージ名
+     * @returns {Promise<WebRPlayground.ExecutionResult>}
+     */
+    async loadPackage(packageName) {
+        if (!this.ready) {
+            throw new Error(t('errors.notInitialized'));
+        }
+
+        return await this.executeCode(`library(${quoteRString(packageName)}, character.only = TRUE)`);
+    }
+
+    /**
+     * インストール済みのパッケージ一覧を取得
+     * @returns {Promise<Array<WebRPlayground.PackageInfo>>}
+     */
+    async listPackages() {
+        if (!this.ready) {
+            throw new Error(t('errors.notInitialized'));
+        }
+
+        try {
+            const frame = await this.shelter.evalR(`
+                local({
+                    installed <- utils::installed.packages(fields = "Title")
+                    installed <- installed[!duplicated(installed[, "Package"]), , drop = FALSE]
+                    title <- installed[, "Title"]
+                    list(
+                        name = unname(installed[, "Package"]),
+                        version = unname(installed[, "Version"]),
+                        title = unname(ifelse(is.na(title), "", title)),
+                        loaded = unname(installed[, "Package"] %in% .packages())
+                    )
+                })
+            `);
+            const packages = frameToRows(await frame.toJs());
+            return packages.sort((a, b) => a.name.localeCompare(b.name));
+        } finally {
+            await this.shelter.purge();
+        }
+    }
+
+    /**
+     * リポジトリで利用可能なパッケージを検索
+     * @param {string} query - 検索語（パッケージ名の部分一致）
+     * @returns {Promise<Array<WebRPlayground.PackageInfo>>}
+     */
+    async searchPackages(query) {
+        if (!this.ready) {
+            throw new Error(t('errors.notInitialized'));
+        }
+
+        if (!this.packageIndex) {
+            // バイナリパッケージはRのメジャー・マイナーバージョンごとに配置されている
+            const rVersion = await this.webR.evalRString(
+                'paste(R.version$major, sub("\\\\..*$", "", R.version$minor), sep = ".")'
+            );
+            const baseUrl = this.config.packageRepoUrl.replace(/\/?$/, '/');
+            const response = await fetch(`${baseUrl}bin/emscripten/contrib/${rVersion}/PACKAGES`);
+            if (!response.ok) {
+                throw new Error(t('errors.packageIndexFailed', { status: response.status }));
+            }
+            this.packageIndex = parseDcf(await response.text()).map(record => ({
+                name: record.Package,
+                version: record.Version,
+                title: record.Title || '',
+                depends: [record.Depends, record.Imports].filter(Boolean).join(', ')
+            }));
+        }
+
+        const needle = query.trim().toLowerCase();
+        return this.packageIndex.filter(pkg => pkg.name.toLowerCase().includes(needle));
+    }
+
+    /**
+     * グローバル環境のオブジェクト一覧を取得
+     * @returns {Promise<Array<WebRPlayground.EnvironmentObject>>}
+     */
+    async listObjects() {
+        if (!this.ready) {
+            throw new Error(t('errors.notInitialized'));
+        }
+
+        try {
+            const frame = await this.shelter.evalR(`
+                local({
+                    objects <- ls(globalenv())
+                    describe <- function(name) {
+                        obj <- get(name, envir = globalenv())
+                        dims <- dim(obj)
+                        size <- if (is.null(dims)) as.character(length(obj)) else paste(dims, collapse = " x ")
+                        preview <- tryCatch(
+                            utils::capture.output(utils::str(obj, max.level = 0, give.attr = FALSE, vec.len = 3))[1],
+                            error = function(e) ""
+                        )
+                        c(
+                            name = name,
+                            class = paste(class(obj), collapse = ", "),
+                            type = typeof(obj),
+                            size = size,
+                            preview = substr(trimws(preview), 1, 80)
+                        )
+                    }
+                    rows <- lapply(objects, describe)
+                    fields <- c("name", "class", "type", "size", "preview")
+                    as.list(setNames(lapply(fields, function(f) vapply(rows, function(row) row[[f]], "")), fields))
+                })
+            `);
+            return frameToRows(await frame.toJs());
+        } finally {
+            await this.shelter.purge();
+        }
+    }
+
+    /**
+     * グローバル環境からオブジェクトを削除
+     * @param {string} name - オブジェクト名
+     * @returns {Promise<void>}
+     */
+    async removeObject(name) {
+        if (!this.ready) {
+            throw new Error(t('errors.notInitialized'));
+        }
+
+        await this.webR.evalRVoid('rm(list = name, envir = globalenv())', {
+            env: { name }
+        });
+    }
+
+    /**
+     * グローバル環境のオブジェクトをすべて削除
+     * @returns {Promise<void>}
+     */
+    async clearEnvironment() {
+        if (!this.ready) {
+            throw new Error(t('errors.notInitialized'));
+        }
+
+        await this.webR.evalRVoid('rm(list = ls(globalenv(), all.names = TRUE), envir = globalenv())');
+    }
+
+    /**
+     * 仮想ファイルシステムのディレクトリ内容を取得
+     * @param {string} [directory] - ディレクトリ（省略時はホームディレクトリ）
+     * @returns {Promise<Array<WebRPlayground.FileEntry>>}
+     */
+    async listFiles(directory = this.config.homeDirectory) {
+        if (!this.ready) {
+            throw new Error(t('errors.notInitialized'));
+        }
+
+        try {
+            const frame = await this.shelter.evalR(`
+                local({
+                    paths <- list.files(directory, full.names = TRUE, no.. = TRUE)
+                    info <- file.info(paths)
+                    list(
+                        name = basename(paths),
+                        path = paths,
+                        size = as.numeric(info$size),
+                        isDirectory = info$isdir,
+                        modified = as.numeric(info$mtime) * 1000
+                    )
+                })
+            `, { env: { directory } });
+
+            const files = frameToRows(await frame.toJs());
+
+            // ディレクトリを先に、名前順に並べる
+            return files.sort((a, b) => {
+                if (a.isDirectory !== b.isDirectory) {
+                    return a.isDirectory ? -1 : 1;
+                }
+                return a.name.localeCompare(b.name);
+            });
+        } finally {
+            await this.shelter.purge();
+        }
+    }
+
+    /**
+     * ファイルを仮想ファイルシステムに書き込む
+     * @param {string} path - 書き込み先のパス
+     * @param {Uint8Array|string} data - ファイルの内容
+     * @returns {Promise<void>}
+     */
+    async writeFile(path, data) {
+        if (!this.ready) {
+            throw new Error(t('errors.notInitialized'));
+        }
+
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+        await this.webR.FS.writeFile(path, bytes);
+    }
+
+    /**
+     * 仮想ファイルシステムからファイルを読み込む
+     * @param {string} path - ファイルのパス
+     * @returns {Promise<Uint8Array>}
+     */
+    async readFile(path) {
+        if (!this.ready) {
+            throw new Error(t('errors.notInitialized'));
+        }
+
+        return await this.webR.FS.readFile(path);
+    }
+
+    /**
+     * ディレクトリを作成
+     * @param {string} path - ディレクトリのパス
+     * @returns {Promise<void>}
+     */
+    async createDirectory(path) {
+        if (!this.ready) {
+            throw new Error(t('errors.notInitialized'));
+        }
+
+        await this.webR.FS.mkdir(path);
+    }
+
+    /**
+     * ファイルまたはディレクトリを削除
+     * @param {string} path - 削除するパス
+     * @returns {Promise<void>}
+     */
+    async deleteFile(path) {
+        if (!this.ready) {
+            throw new Error(t('errors.notInitialized'));
+        }
+
+        const failed = await this.webR.evalRBoolean('unlink(path, recursive = TRUE) != 0', {
+            env: { path }
+        });
+
+        if (failed) {
+            throw new Error(t('errors.deleteFailed', { path }));
+        }
+    }
+
+    /**
+     * ファイルまたはディレクトリの名前を変更
+     * @param {string} from - 変更前のパス
+     * @param {string} to - 変更後のパス
+     * @returns {Promise<void>}
+     */
+    async renameFile(from, to) {
+        if (!this.ready) {
+            throw new Error(t('errors.notInitialized'));
+        }
+
+        const renamed = await this.webR.evalRBoolean('!file.exists(to) && file.rename(from, to)', {
+            env: { from, to }
+        });
+
+        if (!renamed) {
+            throw new Error(t('errors.renameFailed', { from, to }));
+        }
+    }
+
     /**
      * 変数の値を取得
      * @param {string} variableName - 変数名
@@ -371,7 +1790,7 @@ export class WebRService {
      */
     async getVariable(variableName) {
         if (!this.ready) {
-            throw new Error('WebRが初期化されていません');
+            throw new Error(t('errors.notInitialized'));
         }
 
         try {
@@ -0,0 +1,262 @@
+/**
+ * サービスワーカー - アプリ本体・webRランタイム・Rパッケージをキャッシュしてオフラインで起動できるようにする
+ *
+ * - アプリ本体: インストール時に先読みし、キャッシュから即座に返しつつ裏で更新する
+ *   （同梱のサンプル集はマニフェストに載ったファイルも先読みする）
+ * - webRランタイム・パッケージ: 初回の取得時に保存し、以降はキャッシュを優先する
+ *   （ランタイムの更新はページからの "update-runtime" メッセージで明示的に行う）
+ *
+ * ページは登録するスクリプトのURLのクエリ（?runtime=...&runtime=...）で、
+ * 設定したwebRランタイムとパッケージリポジトリのURLを渡す
+ */
+
+/** アプリ本体のキャッシュのバージョン（ファイル構成を変えたら上げる） */
+const SHELL_CACHE = 'webr-playground-shell-v5';
+
+/** webRランタイムとRパッケージのキャッシュ */
+const RUNTIME_CACHE = 'webr-playground-runtime';
+
+/** インストール時に先読みするアプリ本体のファイル */
+const SHELL_FILES = [
+    './',
+    './index.html',
+    './css/styles.css',
+    './js/main.js',
+    './js/ui-controller.js',
+    './js/webr-service.js',
+    './js/webr-playground-element.js',
+    './js/offline-cache.js',
+    './js/i18n.js',
+    './js/locales/ja.js',
+    './js/locales/en.js',
+    './js/examples.js',
+    './js/example-browser.js',
+    './js/code-editor.js',
+    './js/completion-popup.js',
+    './js/console-repl.js',
+    './js/environment-panel.js',
+    './js/file-browser.js',
+    './js/help-viewer.js',
+    './js/package-panel.js',
+    './js/permalink.js',
+    './js/plot-gallery.js',
+    './js/r-data.js',
+    './js/script-store.js',
+    './js/script-tabs.js',
+    './examples/index.json'
+];
+
+/** 同梱のサンプル集のマニフェスト（載っている.Rファイルもアプリ本体として先読みする） */
+const EXAMPLES_MANIFEST = './examples/index.json';
+
+/** 登録時にURLが渡されなかった場合のwebRランタイム・パッケージリポジトリ */
+const DEFAULT_RUNTIME_PREFIXES = [
+    'https://webr.r-wasm.org/',
+    'https://repo.r-wasm.org/'
+];
+
+/**
+ * キャッシュを優先して返すwebRランタイム・パッケージリポジトリのURL
+ * 同じオリジンに置いたランタイムもアプリ本体ではなくランタイムのキャッシュに入れる
+ */
+const RUNTIME_PREFIXES = (() => {
+    const urls = new URL(self.location.href).searchParams.getAll('runtime')
+        .map(url => new URL(url.replace(/\/?$/, '/'), self.location.href).href);
+    return urls.length > 0 ? urls : DEFAULT_RUNTIME_PREFIXES;
+})();
+
+/** 常にネットワークを優先するファイル（パッケージ一覧は更新されるため） */
+const NETWORK_FIRST_PATTERN = /\/PACKAGES(\.\w+)?$/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const shell = await caches.open(SHELL_CACHE);
+        await shell.addAll(SHELL_FILES);
+        await shell.addAll(await listExampleFiles(shell));
+        await self.skipWaiting();
+    })());
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        // 古いバージョンのアプリ本体のキャッシュを削除
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('webr-playground-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+
+        // 初回の訪問でもwebRの読み込みをキャッシュできるよう、すぐにページを制御する
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    if (RUNTIME_PREFIXES.some(prefix => request.url.startsWith(prefix))) {
+        event.respondWith(NETWORK_FIRST_PATTERN.test(url.pathname)
+            ? networkFirst(request, RUNTIME_CACHE)
+            : cacheFirst(request, RUNTIME_CACHE));
+        return;
+    }
+
+    if (url.origin !== self.location.origin) {
+        return;
+    }
+
+    // 共有リンクなどクエリ付きで開かれてもアプリ本体を返す
+    if (request.mode === 'navigate') {
+        event.respondWith(staleWhileRevalidate(request, SHELL_CACHE, { ignoreSearch: true }));
+        return;
+    }
+
+    event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+});
+
+self.addEventListener('message', (event) => {
+    const port = event.ports[0];
+    if (!port) {
+        return;
+    }
+
+    const reply = (promise) => promise
+        .then(result => port.postMessage({ ok: true, result }))
+        .catch(error => port.postMessage({ ok: false, error: error.message }));
+
+    switch (event.data?.type) {
+        case 'cache-status':
+            reply(getCacheStatus());
+            break;
+        case 'update-runtime':
+            reply(caches.delete(RUNTIME_CACHE));
+            break;
+        default:
+            port.postMessage({ ok: false, error: `不明なメッセージです: ${event.data?.type}` });
+    }
+});
+
+/**
+ * 同梱のサンプル集のファイルのURL
+ * @param {Cache} shell - マニフェストを保存したキャッシュ
+ * @returns {Promise<Array<string>>}
+ */
+async function listExampleFiles(shell) {
+    const manifestUrl = new URL(EXAMPLES_MANIFEST, self.location.href);
+    const response = await shell.match(manifestUrl.href);
+    const { examples = [] } = await response.json();
+    return examples.map(path => new URL(path, manifestUrl).href);
+}
+
+/**
+ * 取得できたレスポンスをキャッシュに保存
+ * @param {string} cacheName - キャッシュ名
+ * @param {Request} request - リクエスト
+ * @param {Response} response - レスポンス
+ * @returns {Promise<void>}
+ */
+async function store(cacheName, request, response) {
+    if (response.ok) {
+        const cache = await caches.open(cacheName);
+        await cache.put(request, response);
+    }
+}
+
+/**
+ * キャッシュを優先し、なければネットワークから取得して保存
+ * @param {Request} request - リクエスト
+ * @param {string} cacheName - キャッシュ名
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request, cacheName) {
+    const cached = await caches.match(request, { cacheName });
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    await store(cacheName, request, response.clone());
+    return response;
+}
+
+/**
+ * ネットワークを優先し、つながらなければキャッシュを返す
+ * @param {Request} request - リクエスト
+ * @param {string} cacheName - キャッシュ名
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, cacheName) {
+    try {
+        const response = await fetch(request);
+        await store(cacheName, request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { cacheName });
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * キャッシュがあればすぐに返し、裏でネットワークから更新する
+ * @param {Request} request - リクエスト
+ * @param {string} cacheName - キャッシュ名
+ * @param {CacheQueryOptions} [options] - キャッシュの検索オプション
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request, cacheName, options = {}) {
+    const cached = await caches.match(request, { cacheName, ...options });
+
+    const update = fetch(request)
+        .then(async (response) => {
+            await store(cacheName, request, response.clone());
+            return response;
+        });
+
+    if (cached) {
+        // オフラインでの更新の失敗は無視する
+        update.catch(() => {});
+        return cached;
+    }
+    return update;
+}
+
+/**
+ * キャッシュの状態（ファイル数と合計サイズ）
+ * @returns {Promise<{shell: {files: number, bytes: number}, runtime: {files: number, bytes: number}}>}
+ */
+async function getCacheStatus() {
+    return {
+        shell: await measureCache(SHELL_CACHE),
+        runtime: await measureCache(RUNTIME_CACHE)
+    };
+}
+
+/**
+ * キャッシュのファイル数と合計サイズ
+ * @param {string} cacheName - キャッシュ名
+ * @returns {Promise<{files: number, bytes: number}>}
+ */
+async function measureCache(cacheName) {
+    if (!(await caches.has(cacheName))) {
+        return { files: 0, bytes: 0 };
+    }
+
+    const cache = await caches.open(cacheName);
+    const requests = await cache.keys();
+
+    let bytes = 0;
+    for (const request of requests) {
+        const response = await cache.match(request);
+        const length = Number(response.headers.get('Content-Length'));
+        bytes += length > 0 ? length : (await response.blob()).size;
+    }
+
+    return { files: requests.length, bytes };
+}
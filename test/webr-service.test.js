@@ -0,0 +1,178 @@
+/**
+ * WebRサービスの確認（Node.jsでwebRのnpmパッケージを使う）
+ * @module test/webr-service
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebRService } from '../js/webr-service.js';
+import { setLocale } from '../js/i18n.js';
+
+/** @type {WebRService} */
+let service;
+
+before(async () => {
+    setLocale('en', { persist: false });
+    service = new WebRService({ webRModule: 'webr', plotDevice: 'png' });
+    await service.initialize();
+}, { timeout: 120000 });
+
+after(async () => {
+    await service.destroy();
+});
+
+describe('WebRService のエラー報告', () => {
+    it('成功したスクリプトは success: true になる', async () => {
+        const result = await service.executeCode('cat("ok\\n")');
+
+        assert.equal(result.success, true);
+        assert.equal(result.output, 'ok');
+        assert.equal(result.errorDetail, undefined);
+    });
+
+    it('関数の中のエラーはメッセージ・呼び出し・行・トレースバックを返す', async () => {
+        const result = await service.executeCode([
+            'f <- function() stop("boom")',
+            'g <- function() f()',
+            'print(1)',
+            'g()',
+            'print(2)'
+        ].join('\n'));
+
+        assert.equal(result.success, false);
+        assert.equal(result.error, 'boom');
+        assert.deepEqual(
+            { message: result.errorDetail.message, call: result.errorDetail.call, line: result.errorDetail.line },
+            { message: 'boom', call: 'f()', line: 4 }
+        );
+        assert.deepEqual(result.errorDetail.traceback, ['g()', 'f()', 'stop("boom")']);
+        assert.equal(result.output, '[1] 1\nError in f() : boom');
+    });
+
+    it('トップレベルのエラーは呼び出しを持たない', async () => {
+        const result = await service.executeCode('x <- 1\nstop("top")');
+
+        assert.equal(result.success, false);
+        assert.equal(result.errorDetail.call, null);
+        assert.equal(result.errorDetail.line, 2);
+        assert.deepEqual(result.errorDetail.traceback, ['stop("top")']);
+        assert.equal(result.output, 'Error: top');
+    });
+
+    it('構文エラーは実行せずに位置を返す', async () => {
+        const result = await service.executeCode('print(1)\nx <- (1 +');
+
+        assert.equal(result.success, false);
+        assert.match(result.errorDetail.message, /unexpected end of input/);
+        assert.equal(result.errorDetail.call, null);
+        assert.equal(result.errorDetail.line, 3);
+        assert.ok(result.errorDetail.hint);
+        assert.doesNotMatch(result.output, /\[1\] 1/);
+    });
+
+    it('エラーの後も次の実行は成功する', async () => {
+        await service.executeCode('stop("first")');
+        const result = await service.executeCode('1 + 1');
+
+        assert.equal(result.success, true);
+        assert.equal(result.output, '[1] 2');
+    });
+});
+
+describe('WebRService の中断', () => {
+    it('時間切れの実行は空のエントリを残さず、実行結果を解放する', async () => {
+        const result = await service.executeCode('cat("a\\n"); while (TRUE) {}', { timeout: 500 });
+
+        assert.equal(result.success, false);
+        assert.equal(result.reason, 'timeout');
+        assert.deepEqual(result.entries, [{ type: 'stdout', text: 'a' }]);
+        assert.equal(await service.shelter.size(), 0);
+    });
+
+    it('失敗した実行も実行結果を解放する', async () => {
+        await service.executeCode('stop("boom")');
+
+        assert.equal(await service.shelter.size(), 0);
+    });
+});
+
+describe('WebRService のヘルプ', () => {
+    it('トピックだけで読み込み済みのパッケージから探す', async () => {
+        const page = await service.getHelpPage({ topic: 'mean' });
+
+        assert.equal(page.packageName, 'base');
+        assert.equal(page.topic, 'mean');
+        assert.match(page.html, /Arithmetic Mean/);
+        assert.match(page.examples, /mean\(/);
+    });
+
+    it('パッケージを指定して探す', async () => {
+        const page = await service.getHelpPage({ topic: 'median', packageName: 'stats' });
+
+        assert.equal(page.packageName, 'stats');
+        assert.equal(page.topic, 'median');
+    });
+
+    it('見つからないトピックはnullを返す', async () => {
+        assert.equal(await service.getHelpPage({ topic: 'no_such_topic_xyz' }), null);
+        assert.equal(await service.getHelpPage({ topic: 'mean', packageName: 'stats' }), null);
+    });
+});
+
+describe('WebRService の補完', () => {
+    it('文字列の中ではファイル名を区切りを重ねずに補完する', async () => {
+        await service.executeCode('dir.create("/tmp/completion-test/data", recursive = TRUE)');
+
+        const line = 'read.csv("/tmp/completion-t';
+        const { start, items } = await service.getCompletions(line, line.length);
+
+        assert.equal(start, 10);
+        assert.deepEqual(items.map(item => [item.name, item.type]), [
+            ['/tmp/completion-test/', 'file'],
+            ['/tmp/completion-test/data', 'file']
+        ]);
+
+        const nested = 'read.csv(\'/tmp/completion-test/';
+        const names = (await service.getCompletions(nested, nested.length)).items.map(item => item.name);
+        assert.deepEqual(names, ['/tmp/completion-test/data/']);
+    });
+
+    it('文字列の外では関数として補完する', async () => {
+        const { items } = await service.getCompletions('mea', 3);
+
+        assert.deepEqual(items[0], { name: 'mean', type: 'function', signature: 'mean(x, ...)' });
+    });
+});
+
+describe('WebRService の式の範囲', () => {
+    const lines = [
+        'x <- 1',
+        'f <- function(n) {',
+        '    total <- 0',
+        '    for (i in seq_len(n)) {',
+        '        total <- total + i',
+        '    }',
+        '    total',
+        '}',
+        '',
+        '# コメント',
+        'y <- c(1,',
+        '       2)'
+    ];
+
+    it('関数の本体やループの中の行では最上位の式全体を返す', async () => {
+        assert.deepEqual(await service.findExpressionAt(lines, 4), { startLine: 1, endLine: 7 });
+        assert.deepEqual(await service.findExpressionAt(lines, 2), { startLine: 1, endLine: 7 });
+    });
+
+    it('複数行にわたる式は途中の行からでも全体を返す', async () => {
+        assert.deepEqual(await service.findExpressionAt(lines, 11), { startLine: 10, endLine: 11 });
+        assert.deepEqual(await service.findExpressionAt(lines, 0), { startLine: 0, endLine: 0 });
+    });
+
+    it('空行・コメントの行はその行だけを返す', async () => {
+        assert.deepEqual(await service.findExpressionAt(lines, 8), { startLine: 8, endLine: 8 });
+        assert.deepEqual(await service.findExpressionAt(lines, 9), { startLine: 9, endLine: 9 });
+        assert.deepEqual(await service.findExpressionAt([''], 0), { startLine: 0, endLine: 0 });
+    });
+});